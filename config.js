@@ -4,17 +4,30 @@
  * @author Vili Pelttari
  */
 const util = require("./lib/util.js");
-const fs = require("fs");
+const settings = require("./lib/settings.js");
+const cli = require("./lib/cli.js");
+const schema = require("./lib/schema.js");
 var gateway = {};
 
+// Backend transport: "socket" (socket.io), "mqtt", "http" (POST requests to a webhook) or "file"
+// (JSON lines in a local file). All transports send the same messages. See lib/comm.js.
+gateway.transport = "socket";
+
+// MQTT broker. The messages are published on the topic 'publishPrefix' + backend topic, e.g.
+// "jtkj/sensordata", and the tamagotchi notifications are received on 'subscribePrefix' +
+// "tamagotchiNotification". 'qos' is the MQTT quality of service level 0, 1 or 2.
 gateway.mqtt = {};
 gateway.mqtt.host = 'mqtt://localhost:10311';
 gateway.mqtt.options = {
-  /*ca: fs.readFileSync('certs/ca.crt'),
-  key: fs.readFileSync('certs/mqttClientKey.key'),
-  cert: fs.readFileSync('certs/mqttClientKey.crt'),*/
   rejectUnauthorized: false
 };
+gateway.mqtt.publishPrefix = "";
+gateway.mqtt.subscribePrefix = "";
+gateway.mqtt.qos = 1;
+// Paths of the TLS certificate files for mqtts:// connections, null when not used
+gateway.mqtt.ca = null; // e.g. "certs/ca.crt"
+gateway.mqtt.cert = null; // e.g. "certs/mqttClientKey.crt"
+gateway.mqtt.key = null; // e.g. "certs/mqttClientKey.key"
 
 gateway.socket = {};
 gateway.socket.host = "https://computer-systems-database-connector-2021.rahtiapp.fi";
@@ -24,8 +37,25 @@ gateway.socket.options = {
   path: "/api/v1/databaseconnector/sockets"
 };
 
+// HTTP webhook: every message is POSTed to 'url' as {"topic": ..., "msg": ...}. After a failed
+// request, the messages are kept in the outbox and the webhook is retried every 'retryInterval' ms.
+gateway.http = {};
+gateway.http.url = "http://localhost:8000/gateway";
+gateway.http.headers = {}; // extra request headers, e.g. {"Authorization": "Bearer ..."}
+gateway.http.timeout = 5000;
+gateway.http.retryInterval = 10000;
+
+// Local sink: the messages are appended to 'path' as JSON lines. "-" shows them in the console.
+gateway.sink = {};
+gateway.sink.path = "backend.jsonl";
+
 gateway.offline = false;
 
+// Messages produced while the backend connection is down are spooled to this file, one JSON line
+// per message, and sent in order after reconnecting
+gateway.outbox = {};
+gateway.outbox.file = "outbox.jsonl";
+
 // XXX: There are gateway server related values at the bottom
 gateway.uart = {};
 gateway.uart.txlength = 80;
@@ -41,9 +71,103 @@ gateway.uart.delim = "\x00";
 // Length parser
 gateway.uart.rxlength = 82;
 
+// UART send queue. One message is sent every 50 milliseconds, in priority order: "control"
+// (challenge and heartbeat), "reply" (pong), "notify" (backend notifications) and "console"
+// (typed messages). Messages to the same address are sent at least 'minInterval' milliseconds
+// apart. When 'maxDepth' messages are waiting, 'dropPolicy' "oldest" makes room by dropping the
+// oldest message of the lowest priority, unless the new message has an even lower priority, and
+// "newest" drops the new message. Control messages are never dropped.
+gateway.queue = {};
+gateway.queue.maxDepth = 200;
+gateway.queue.minInterval = 200;
+gateway.queue.dropPolicy = "oldest";
+
+// Reliable delivery of messages to SensorTags. When enabled, each message gets a sequence tag
+// ',seq:N', and the SensorTag should reply with 'ack:N'. Unacknowledged messages are resent after
+// 'timeout' milliseconds, multiplied by 'backoff' for every try, at most 'retries' times.
+// Broadcasts are sent once, unless the receiver is known as with the backend notifications.
+gateway.delivery = {};
+gateway.delivery.enabled = false;
+gateway.delivery.timeout = 2000;
+gateway.delivery.backoff = 2;
+gateway.delivery.retries = 3;
+
+// CRC-16 checksums of the frames, see lib/framing.js. 'uplink' is "off" to not check the frames
+// from SensorTags, "optional" to check the frames that end in a checksum, or "required" to discard
+// the frames without one. With 'downlink', the messages to SensorTags end in a checksum too.
+gateway.crc = {};
+gateway.crc.uplink = "optional";
+gateway.crc.downlink = false;
+
+// Raw UART traffic capture. Every received frame and every written buffer is recorded into a
+// timestamped capture file in this directory
+gateway.capture = {};
+gateway.capture.enabled = false;
+gateway.capture.dir = "captures";
+
+// Replay of a capture file instead of connecting to a serial port
+gateway.replay = {};
+gateway.replay.file = null;
+gateway.replay.speed = 1; // 1 is the captured pace, 0 replays without delays
+
+// Scenario file run when the first serial device is ready, see lib/scenario.js. The gateway exits
+// after the scenario, with the exit code 1 if a step failed. 'connectTimeout' is how long the
+// serial device is waited for, in milliseconds
+gateway.scenario = {};
+gateway.scenario.file = null;
+gateway.scenario.connectTimeout = 30000;
+
+// Virtual serial device simulating a SensorTag, or a ServerTag with the SensorTags listed in
+// 'tags'. Intervals are in milliseconds, and a missing interval disables that kind of message.
+// In client mode only the first tag is simulated. Sessions with 'binary: true' send their rows as
+// binary frames, which in client mode need the length parser. With several 'devices', the tags
+// take turns in joining the virtual ServerTags, and in client mode each device is one tag.
+gateway.simulator = {};
+gateway.simulator.enabled = false;
+gateway.simulator.path = "/dev/gateway-simulator";
+gateway.simulator.devices = 1; // number of virtual serial devices
+gateway.simulator.maxRecorded = 1000; // how many messages written by the gateway are remembered
+gateway.simulator.ackLoss = 0; // share of sequence tagged messages left unacknowledged, 0 to 1
+gateway.simulator.crc = false; // end the simulated frames in a checksum
+gateway.simulator.corruption = 0; // share of frames with a byte changed after the checksum, 0 to 1
+gateway.simulator.tags = [
+  {id: "0123", ping: 10000, actions: 7000, session: {interval: 30000, rows: 40, rowInterval: 100}},
+  {id: "0456", ping: 12000, actions: 9000},
+  {id: "0789", session: {interval: 20000, rows: 100, rowInterval: 50, binary: true}}
+];
+
+// Local web dashboard with the live state of the gateway, opened in a browser at http://host:port/
+gateway.dashboard = {};
+gateway.dashboard.enabled = false;
+gateway.dashboard.host = "127.0.0.1"; // use "0.0.0.0" to allow access from other computers
+gateway.dashboard.port = 8080;
+gateway.dashboard.interval = 1000; // how often the state is updated, in milliseconds
+
+// Local copies of completed sensor data sessions, saved also in offline mode. Each SensorTag has
+// its own file in 'dir': with format "csv" <id>.csv gets the rows of every session, and with
+// format "json" <id>.jsonl gets one JSON object per session
+gateway.export = {};
+gateway.export.enabled = false;
+gateway.export.format = "csv";
+gateway.export.dir = "sessions";
+
+// Serial devices. Several devices can be connected at the same time, e.g. ServerTags in different
+// rooms: received messages from all of them are handled alike, and messages to a SensorTag are
+// sent to the device where it was last seen. 'max' is how many automatically found devices are
+// connected, and 'paths' lists more ports to connect to besides 'path'.
 gateway.ports = {};
+gateway.ports.path = null; // connect only to this port, without searching
+gateway.ports.paths = [];
+gateway.ports.max = 1;
 gateway.ports.autofind = true;
 gateway.ports.maxTries = 5;
+// A port is found automatically if it matches one of the filters. A filter can have the USB
+// 'vendorId' and 'productId' as hex strings, the 'serialNumber' and the USB 'interface' number,
+// and all of them have to match. The default finds the UART interface of the XDS110 debugger of
+// the SensorTag by Texas Instruments.
+gateway.ports.filters = [
+  {vendorId: "0451", interface: 0}
+];
 
 // Mutes the 'Broker unreachable' warning if it is spammed
 gateway.muteConnectionError = false;
@@ -53,20 +177,38 @@ gateway.muteConnectionError = false;
 gateway.connectedAddressTimeout = 10000;
 
 // How many rows of sensor data will be gathered from any SensorTag.
-/* Value is an approximation: 
- *  Raspberry 3 Model B+ has about 924 MiB of RAM. After starting three docker containers and this
- *  gateway program, there is 440 MiB free RAM. If at maximum we would allocate 400 MiB for the
- *  session data, assuming there are 1000 SensorTags, each sensor value is 64 bits = 8 bytes, there
- *  is no data structure overhead, and there are 11 different sensor data columns, this results in
- *    400 MiB / (1000*8*11/1024^2 MiB) ≈ 4766
- *  rows of data per SensorTag.
- *
- *  The value 4500 enables a SensorTag to send sensor data for 3 minutes 45 seconds, one row every
- *  50 milliseconds. If the maximum number of rows is exceeded, extra rows are not added to sensor
- *  data, and session:end still sends the so-far accumulated data to the database.
+/* The value 4500 enables a SensorTag to send sensor data for 3 minutes 45 seconds, one row every
+ * 50 milliseconds. If the maximum number of rows is exceeded, extra rows are not added to sensor
+ * data, and session:end still sends the so-far accumulated data to the database.
  */
 gateway.maxSessionRows = 4500;
 
+// Sensor data session lifecycle
+/* A session that has received no rows in 'idleTimeout' milliseconds is closed: with the
+ * 'idlePolicy' "send" its rows are sent like on session:end, and with "discard" they are dropped.
+ * 0 disables the timeout, so a SensorTag going out of range keeps its session open.
+ *
+ * 'memoryBudget' limits the memory of all open sessions together, in bytes. Rows that don't fit are
+ * rejected. The numeric columns are stored as 64-bit floats, so a row takes 8 bytes per column:
+ *  Raspberry 3 Model B+ has about 924 MiB of RAM. After starting three docker containers and this
+ *  gateway program, there is 440 MiB free RAM. Allocating 400 MiB for the session data with 11
+ *  sensor data columns gives
+ *    400 MiB / (8*11 B) ≈ 4766000
+ *  rows in total, e.g. 1000 SensorTags with 4766 rows each.
+ */
+gateway.sessions = {};
+gateway.sessions.idleTimeout = 300000;
+gateway.sessions.idlePolicy = "send";
+gateway.sessions.memoryBudget = 400 * 1024 * 1024;
+
+// Streaming of sensor data sessions in chunks. When enabled, every 'chunkRows' rows of a session
+// are sent to the backend right away with a session identifier and a sequence number, and
+// session:end sends the rest with 'final: true'. Sessions can then be of any length.
+gateway.stream = {};
+gateway.stream.enabled = false;
+gateway.stream.chunkRows = 500;
+gateway.stream.topic = "sensordata";
+
 gateway.topics = [ // All possible SensorTag data topics. Dummy topics are used for gateway commands
   "event",
   "tamaActions",
@@ -75,230 +217,82 @@ gateway.topics = [ // All possible SensorTag data topics. Dummy topics are used
   "commands" // dummy topic for internal commands
 ];
 /**
- * Different data fields to be received via UART.
+ * Different data fields to be received via UART. The parse functions in gateway.dataTypes and the
+ * columns of sensor data sessions are generated from these declarations in lib/schema.js.
  *
  * Element description: A dictionary with values
  *  shortName - name in received UART message
  *  nameInDB  - name to be used when sending the property via backend connection
- *  topics    - the backend connection topics where this property can be sent to, an array
- *  forceSend - false or undefined. False when this property alone doesn't cause a message to
- *              be sent to backend. Undefined otherwise
- *  fun       - A Promise-type function with one argument, used to parse the data from the UART
- *              message. Argument is the data belonging to this property ({shortName}:{argument}).
- *              Resolve gives the processed data on success, and reject message is shown in terminal on fail.
+ *  type      - how the data is parsed:
+ *                float  - a number
+ *                int    - an integer
+ *                enum   - one of 'values', an array of strings or a dictionary from strings to results
+ *                string - any text
+ *                triple - three numbers separated by ';', or with 'index', one number placed at that
+ *                         index of an otherwise zero triple
+ *                hexid  - up to 4 hex digits, padded with zeros
+ *                flag   - no data, 'value' is the result
+ *  topics    - the backend connection topics where this property can be sent to, an array. Fields
+ *              on topic 'sensordata' are the columns of sensor data sessions
+ *  forceSend - true when this property alone causes a message to be sent to backend
+ *  label     - name used in error messages, nameInDB by default
+ *  range     - [min, max] of accepted numbers, optional
+ *  unit      - unit of the value, for documentation
+ *  scale     - multiplier of the value in int16 binary frames, 1 by default. See lib/binary.js
+ *
+ * Custom fields can be added in the configuration file as 'customFields', e.g.
+ *  {"shortName": "steps", "nameInDB": "steps", "type": "int", "range": [0, 100000], "topic": "sensordata"}
+ * where 'topic' can be given instead of 'topics'.
  */
-gateway.dataTypes = [{
-    shortName: "time",
-    nameInDB: "timeStamp",
-    topics: ["event", "sensordata"],
-    forceSend: false,
-    fun: d => new Promise((resolve, reject) => { // d is String
-      let a = Number(d);
-      if (isNaN(a) || d == '') reject("Error: Non-numeric timestamp: " + d);
-      resolve(a);
-    }),
-  }, { // ID is special. It will be picked in the readDataTokens and forwarded to other functions. TODO experiment if this can be relaxed
-    shortName: "id",
-    nameInDB: "sensortagID",
-    topics: ["event", "additionalMessages"],
-    forceSend: false, // Reception doesn't warrant a send on the associated topics
-    fun: d => new Promise((resolve, reject) => {
-      if (!isNaN(Number("0x" + d)) && d.length <= 4 && d != '') {
-        resolve(("0000" + d).slice(-4));
-      } else reject("Error: SensorTag ID has to be 4 hex digits: " + d);
-    }),
-  }, {
-    shortName: "ping",
-    nameInDB: "ping",
-    topics: ["commands"], // dummy topic
-    forceSend: false, // don't send gateway-related data to backend
-    fun: d => new Promise((resolve, reject) => {
-      resolve("pong");
-    }),
-  }, {
-    shortName: "session",
-    nameInDB: "session",
-    topics: ["commands"], // dummy topic
-    forceSend: false,
-    fun: d => new Promise((resolve, reject) => {
-      if (["start", "end"].includes(d)) resolve(d == "start");
-      else reject("Error: Session instruction not recognized: " + d);
-    }),
-  },
-
-
-  {
-    shortName: "EAT",
-    nameInDB: "eat",
-    topics: ["tamaActions"],
-    forceSend: false,
-    fun: d => new Promise((resolve, reject) => {
-      let a = Number(d);
-      if (isNaN(a) || d == '') reject("Error: Non-numeric EAT increment: " + d);
-      if (!Number.isFinite(a)) reject("Error: Tamagotchi cannot EAT the amount: " + a);
-      resolve([a, 0, 0]);
-    }),
-  },
-  {
-    shortName: "EXERCISE",
-    nameInDB: "exercise",
-    topics: ["tamaActions"],
-    forceSend: false,
-    fun: d => new Promise((resolve, reject) => {
-      let a = Number(d);
-      if (isNaN(a) || d == '') reject("Error: Non-numeric EXERCISE increment: " + d);
-      if (!Number.isFinite(a)) reject("Error: Tamagotchi cannot EXERCISE the amount: " + a);
-      resolve([0, a, 0]);
-    }),
-  },
-  {
-    shortName: "PET",
-    nameInDB: "pet",
-    topics: ["tamaActions"],
-    forceSend: false,
-    fun: d => new Promise((resolve, reject) => {
-      let a = Number(d);
-      if (isNaN(a) || d == '') reject("Error: Non-numeric PET increment: " + d);
-      if (!Number.isFinite(a)) reject("Error: Tamagotchi cannot be PET the amount: " + a);
-      resolve([0, 0, a]);
-    }),
-  },
-  {
-    shortName: "ACTIVATE",
-    nameInDB: "ACTIVATE",
-    topics: ["tamaActions"],
-    forceSend: false,
-    fun: d => new Promise((resolve, reject) => {
-      let a = d.split(";").map(k => Number(k));
-      if (a.length != 3) reject("Error: ACTIVATE needs three arguments.");
-      if (a.some(k => isNaN(k)) || d == '') reject("Error: Non-numeric ACTIVATE increment: " + d);
-      if (a.some(k => Number.isFinite(a))) reject("Error: Tamagotchi cannot be ACTIVATEd the amounts: " + d);
-      resolve(a);
-    }),
-  },
-  {
-    shortName: "MSG1",
-    nameInDB: "msg1",
-    topics: ["additionalMessages"],
-    forceSend: true,
-    fun: d => new Promise((resolve, reject) => {
-      resolve(d);
-    }),
-  },
-  {
-    shortName: "MSG2",
-    nameInDB: "msg2",
-    topics: ["additionalMessages"],
-    forceSend: true,
-    fun: d => new Promise((resolve, reject) => {
-      resolve(d);
-    }),
-  },
-
-
-  {
-    shortName: "temp",
-    nameInDB: "temperature",
-    topics: ["sensordata"],
-    forceSend: false,
-    fun: d => new Promise((resolve, reject) => {
-      let a = Number(d); // Usage of Number is important: It makes sure the whole string is numeric!
-      if (isNaN(a) || d == '') reject("Error: Non-numeric temperature: " + d);
-      resolve(a);
-    }),
-  }, {
-    shortName: "humid",
-    nameInDB: "humidity",
-    topics: ["sensordata"],
-    forceSend: false,
-    fun: d => new Promise((resolve, reject) => {
-      let a = Number(d);
-      if (isNaN(a) || d == '') reject("Error: Non-numeric humidity: " + d);
-      resolve(a);
-    }),
-  }, {
-    shortName: "press",
-    nameInDB: "pressure",
-    topics: ["sensordata"],
-    forceSend: false,
-    fun: d => new Promise((resolve, reject) => {
-      let a = Number(d);
-      if (isNaN(a) || d == '') reject("Error: Non-numeric pressure: " + d);
-      resolve(a);
-    }),
-  }, {
-    shortName: "light",
-    nameInDB: "lightIntensity",
-    topics: ["sensordata"],
-    forceSend: false,
-    fun: d => new Promise((resolve, reject) => {
-      let a = Number(d);
-      if (isNaN(a) || d == '') reject("Error: Non-numeric light intensity: " + d);
-      resolve(a);
-    }),
-  }, {
-    shortName: "ax",
-    nameInDB: "ax", // ax is used as a special variable in the unwrap function
-    topics: ["sensordata"],
-    forceSend: false,
-    fun: d => new Promise((resolve, reject) => {
-      let a = Number(d);
-      if (isNaN(a) || d == '') reject("Error: Non-numeric acceleration (x): " + d);
-      resolve(a);
-    }),
-  }, {
-    shortName: "ay",
-    nameInDB: "ay",
-    topics: ["sensordata"],
-    forceSend: false,
-    fun: d => new Promise((resolve, reject) => {
-      let a = Number(d);
-      if (isNaN(a) || d == '') reject("Error: Non-numeric acceleration (y): " + d);
-      resolve(a);
-    }),
-  }, {
-    shortName: "az",
-    nameInDB: "az",
-    topics: ["sensordata"],
-    forceSend: false,
-    fun: d => new Promise((resolve, reject) => {
-      let a = Number(d);
-      if (isNaN(a) || d == '') reject("Error: Non-numeric acceleration (z): " + d);
-      resolve(a);
-    }),
-  }, {
-    shortName: "gx",
-    nameInDB: "gx",
-    topics: ["sensordata"],
-    forceSend: false,
-    fun: d => new Promise((resolve, reject) => {
-      let a = Number(d);
-      if (isNaN(a) || d == '') reject("Error: Non-numeric gyroscope (x): " + d);
-      resolve(a);
-    }),
-  }, {
-    shortName: "gy",
-    nameInDB: "gy",
-    topics: ["sensordata"],
-    forceSend: false,
-    fun: d => new Promise((resolve, reject) => {
-      let a = Number(d);
-      if (isNaN(a) || d == '') reject("Error: Non-numeric gyroscope (y): " + d);
-      resolve(a);
-    }),
-  }, {
-    shortName: "gz",
-    nameInDB: "gz",
-    topics: ["sensordata"],
-    forceSend: false,
-    fun: d => new Promise((resolve, reject) => {
-      let a = Number(d);
-      if (isNaN(a) || d == '') reject("Error: Non-numeric gyroscope (z): " + d);
-      resolve(a);
-    }),
-  }
+gateway.fields = [
+  {shortName: "time", nameInDB: "timeStamp", type: "float", label: "timestamp", unit: "ms",
+    topics: ["event", "sensordata"]},
+  // ID is special. It will be picked in the readDataTokens and forwarded to other functions.
+  {shortName: "id", nameInDB: "sensortagID", type: "hexid", label: "SensorTag ID",
+    topics: ["event", "additionalMessages"]},
+  {shortName: "ping", nameInDB: "ping", type: "flag", value: "pong",
+    topics: ["commands"]}, // dummy topic, don't send gateway-related data to backend
+  {shortName: "session", nameInDB: "session", type: "enum", values: {start: true, end: false},
+    label: "Session instruction", topics: ["commands"]},
+  {shortName: "ack", nameInDB: "ack", type: "int", range: [0, 9999],
+    label: "Acknowledged sequence number", topics: ["commands"]},
+
+  {shortName: "EAT", nameInDB: "eat", type: "triple", index: 0, label: "EAT increment",
+    topics: ["tamaActions"]},
+  {shortName: "EXERCISE", nameInDB: "exercise", type: "triple", index: 1, label: "EXERCISE increment",
+    topics: ["tamaActions"]},
+  {shortName: "PET", nameInDB: "pet", type: "triple", index: 2, label: "PET increment",
+    topics: ["tamaActions"]},
+  {shortName: "ACTIVATE", nameInDB: "ACTIVATE", type: "triple", label: "ACTIVATE increment",
+    topics: ["tamaActions"]},
+  {shortName: "MSG1", nameInDB: "msg1", type: "string", topics: ["additionalMessages"], forceSend: true},
+  {shortName: "MSG2", nameInDB: "msg2", type: "string", topics: ["additionalMessages"], forceSend: true},
+
+  {shortName: "temp", nameInDB: "temperature", type: "float", unit: "°C", scale: 100,
+    topics: ["sensordata"]},
+  {shortName: "humid", nameInDB: "humidity", type: "float", unit: "%RH", scale: 100,
+    topics: ["sensordata"]},
+  {shortName: "press", nameInDB: "pressure", type: "float", unit: "hPa", scale: 10,
+    topics: ["sensordata"]},
+  {shortName: "light", nameInDB: "lightIntensity", type: "float", label: "light intensity", unit: "lux",
+    topics: ["sensordata"]},
+  {shortName: "ax", nameInDB: "ax", type: "float", label: "acceleration (x)", unit: "g", scale: 1000,
+    topics: ["sensordata"]},
+  {shortName: "ay", nameInDB: "ay", type: "float", label: "acceleration (y)", unit: "g", scale: 1000,
+    topics: ["sensordata"]},
+  {shortName: "az", nameInDB: "az", type: "float", label: "acceleration (z)", unit: "g", scale: 1000,
+    topics: ["sensordata"]},
+  {shortName: "gx", nameInDB: "gx", type: "float", label: "gyroscope (x)", unit: "deg/s", scale: 10,
+    topics: ["sensordata"]},
+  {shortName: "gy", nameInDB: "gy", type: "float", label: "gyroscope (y)", unit: "deg/s", scale: 10,
+    topics: ["sensordata"]},
+  {shortName: "gz", nameInDB: "gz", type: "float", label: "gyroscope (z)", unit: "deg/s", scale: 10,
+    topics: ["sensordata"]}
 ];
 
+// Additional fields declared like gateway.fields, usually given in the configuration file
+gateway.customFields = [];
+
 // Server settings:
 
 gateway.server = {};
@@ -313,14 +307,48 @@ gateway.heartbeatInterval = 15000;
 
 gateway.debugMode = false;
 
+// Which messages are shown in the console: "none", "error", "info" or "debug"
+gateway.logLevel = "info";
+
+// Log file where all messages are written with their time, level and SensorTag address, also the
+// ones not shown in the console. 'format' is "plain" for text lines or "json" for JSON lines, and
+// 'level' is "error", "info" or "debug". When the file grows over 'maxSize' bytes it is renamed to
+// <file>.1, and 'keep' older files are kept.
+gateway.log = {};
+gateway.log.enabled = false;
+gateway.log.file = "logs/gateway.log";
+gateway.log.format = "plain";
+gateway.log.level = "debug";
+gateway.log.maxSize = 10 * 1024 * 1024;
+gateway.log.keep = 5;
+
+// History of the lines typed in the console, kept in 'file' between runs with at most 'size' lines.
+// null keeps the history only while the gateway runs
+gateway.history = {};
+gateway.history.file = ".gateway_history";
+gateway.history.size = 200;
+
 // TODO maybe disable terminal clearing in server mode? It would function as a log
 
+// Print the effective configuration on startup
+gateway.printConfig = false;
+
 // Parse command line arguments that change values defined here
-util.parseArgv(gateway);
+let options = cli.parseArgv();
+
+// Apply the configuration file and environment variables, and then the command line options
+settings.load(gateway, cli.configFile(options));
+cli.apply(gateway, options);
+settings.verify(gateway);
+util.setLogLevel(gateway.logLevel);
+
+// Generate the data field parsers and the sensor data session columns
+gateway.fields = schema.build(gateway.fields.concat(gateway.customFields), gateway.topics);
+gateway.dataTypes = schema.dataTypes(gateway.fields);
+gateway.sessionFields = schema.sessionFields(gateway.fields);
 
 // Global variables
 gateway.connectedAddresses = {};
-gateway.port = undefined; // the serial port after it has been found and connected to
 
 
 module.exports = gateway;
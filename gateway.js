@@ -34,7 +34,16 @@ const
       reader = require("./lib/reader");
         uart = require("./lib/uart");
         util = require("./lib/util");
-        comm = require("./lib/comm-socket");
+        comm = require("./lib/comm");
+      outbox = require("./lib/outbox");
+     capture = require("./lib/capture");
+      logger = require("./lib/logger");
+    sessions = require("./lib/sessions");
+        tags = require("./lib/tags");
+    commands = require("./lib/commands");
+    scenario = require("./lib/scenario");
+   simulator = require("./lib/simulator");
+   dashboard = require("./lib/dashboard");
 
 /**
  * @brief The main program. Handles UART communication
@@ -42,22 +51,24 @@ const
  *
  * The port will be tested with a challenge - response scheme. This prevents plugging in wrong
  * ServerTags and realigns the parse buffers on both ends if necessary. The ServerTag health
- * will be monitored with heartbeat messaging.
+ * will be monitored with heartbeat messaging. Each connected port has its own main.
  */
 function main(path) {
-  let parser, heartbeatService;
-  gateway.port = new SerialPort(path, {baudRate: gateway.uart.baudRate}, function(err) {
+  let parser, heartbeatService, device;
+  let port = new SerialPort(path, {baudRate: gateway.uart.baudRate}, function(err) {
     if (err === null) return;
     util.showMsg("error", "Bad port: " + err.message);
-    portFinder.findPorts().then(main);
+    uart.detach(device);
+    reconnect(path);
     return; // leave portfinder to searching and exit main meanwhile
   });
+  device = uart.attach(port);
 
   try {
     if (gateway.uart.pipe == "length"){
-      parser = gateway.port.pipe(new ByteLength({length: gateway.uart.rxlength}));
+      parser = port.pipe(new ByteLength({length: gateway.uart.rxlength}));
     } else {
-      parser = gateway.port.pipe(new Delimiter({delimiter: gateway.uart.delim}));
+      parser = port.pipe(new Delimiter({delimiter: gateway.uart.delim}));
     }
   } catch(e) {
     util.showMsg("error", "Error opening port parser: " + e.message);
@@ -65,42 +76,147 @@ function main(path) {
   }
 
   if (gateway.isServer) {
-    uart.hbTime = Date.now();
-    heartbeatService = setInterval(uart.heartbeat, gateway.heartbeatInterval); // check ServerTag every 15 seconds
+    device.hbTime = Date.now();
+    heartbeatService = setInterval(() => uart.heartbeat(device), gateway.heartbeatInterval); // check ServerTag every 15 seconds
   }
 
-  gateway.port.on("close", (err) => { // disconnection detection is slow on some devices
+  port.on("close", (err) => { // disconnection detection is slow on some devices
     if (err != null && err.disconnected) {
-      util.showMsg("error", "The SensorTag server disconnected from USB! Please reconnect.");
+      util.showMsg("error", "The SensorTag server at " + path + " disconnected from USB! Please reconnect.");
     } else if (err != null) {
       util.showMsg("error", "Unencountered error with UART connection. Attempting to reconnect.");
     }
+    uart.detach(device);
     setTimeout(() => {
-      if (uart.responded) {
+      if (device.responded && !uart.devices().length) {
         process.stdout.write("\033[2J\033[1H\033[s"); // clear console, move cursor to first line, save position
-        uart.responded = false;
       }
+      device.responded = false;
       if (gateway.isServer) clearInterval(heartbeatService);
       parser.destroy();
-      portFinder.findPorts().then(main); // retry connection
+      reconnect(path); // retry connection
       return; // leave portfinder to searching and exit main meanwhile
     }, 1500);
   });
 
   // Main functionality after connection is established:
-  gateway.port.on("open", () => {
+  port.on("open", () => {
     let dict = [], topic = "";
-    util.showMsg("info", "UART connection opened.");
-    if (gateway.isServer) setTimeout(uart.sendChallenge, 1000);
-    else uart.responded = true;
+    util.showMsg("info", "UART connection opened to " + path + ".");
+    if (gateway.isServer) setTimeout(() => uart.sendChallenge(device), 1000);
+    else device.responded = true;
     parser.on("data", function(data) {
-      if (!uart.responded && !uart.parseChallenge(data)) return;
-      // read the data, send via MQTT on success and show errors in console on failure
-      reader.unwrap(data).then(comm.sendMsgs).catch(str => util.showMsg("error", str));
+      capture.record("rx", data, uart.devices().length > 1 ? path : undefined);
+      handleFrame(data, device);
     });
+    search(); // for more devices
   });
 }
 
+/**
+ * @brief The serial ports given in the configuration, which are connected to without searching
+ * @return Array of paths
+ */
+function configuredPaths() {
+  if (gateway.simulator.enabled) return simulator.paths();
+  return [...new Set([gateway.ports.path].concat(gateway.ports.paths).filter(k => k))];
+}
+
+/**
+ * @brief The serial ports that are connected to without searching: the configured and the pinned
+ * ones, unless they have been forgotten
+ * @return Array of paths
+ */
+function fixedPaths() {
+  return [...new Set(configuredPaths().concat(portFinder.pinned()))].filter(path => !portFinder.isForgotten(path));
+}
+
+/**
+ * @brief Connect to a serial port again after it was closed or could not be opened. A port that
+ * was found by searching is searched for again.
+ * @param path The path of the port
+ */
+function reconnect(path) {
+  if (fixedPaths().includes(path)) setTimeout(() => main(path), 1000);
+  else search();
+}
+
+let searching = false;
+/**
+ * @brief Find a serial port to connect to, unless a search is already going on or enough devices
+ * are connected. While other devices are connected, ports are only found automatically. The
+ * pinned ports don't count towards gateway.ports.max.
+ */
+function search() {
+  let connected = uart.devices().map(device => device.path);
+  let found = connected.filter(path => !fixedPaths().includes(path));
+  if (searching || configuredPaths().length) return;
+  if (connected.length && (!gateway.ports.autofind || found.length >= gateway.ports.max)) return;
+  searching = true;
+  portFinder.findPorts(connected).then(path => {
+    searching = false;
+    main(path);
+  });
+}
+
+/**
+ * @brief The console command '.ports': list the serial ports, or pin or forget one of them
+ * @param args The words after '.ports': none, or "pin" or "forget" and the number of the port in
+ * the list or its path
+ */
+function portsCommand(args) {
+  if (args.length && !(args.length == 2 && ["pin", "forget"].includes(args[0]))) {
+    util.showMsg("info", "Usage: .ports [pin|forget <number|path>]");
+    return;
+  }
+  portFinder.list().catch(err => {
+    util.showMsg("error", "Could not list the serial ports: " + err.message);
+    return [];
+  }).then(ports => {
+    let connected = uart.devices().map(device => device.path);
+    // the connected and pinned ports are listed even if the system doesn't list them
+    for (const path of connected.concat(portFinder.pinned()))
+      if (!ports.some(port => port.path == path)) ports.push({path: path});
+    if (!args.length) {
+      util.showMsg("info", ports.length + " serial port" + (ports.length != 1 ? "s" : "") + ":" + ports.map((port, i) => {
+        let state = [];
+        if (connected.includes(port.path)) state.push("connected");
+        if (portFinder.pinned().includes(port.path)) state.push("pinned");
+        if (portFinder.isForgotten(port.path)) state.push("forgotten");
+        if (port.matches) state.push("matches the filters");
+        if (port.tries) state.push(port.tries + " failed challenge" + (port.tries != 1 ? "s" : ""));
+        return "\n  " + (i+1) + ": " + port.path + " " + portFinder.describe(port)
+          + (state.length ? " (" + state.join(", ") + ")" : "");
+      }).join(""));
+      return;
+    }
+    let path = /^\d+$/.test(args[1]) ? (ports[Number(args[1]) - 1] || {}).path : args[1];
+    if (!path) {
+      util.showMsg("info", "There is no port number " + args[1] + ". See '.ports'.");
+    } else if (args[0] == "pin") {
+      portFinder.pin(path);
+      util.showMsg("info", "Pinned " + path + ". It is reconnected to whenever it is closed.");
+      if (!connected.includes(path)) main(path);
+    } else {
+      portFinder.forget(path);
+      util.showMsg("info", "Forgot " + path + ". It isn't connected to until it is pinned again.");
+      let device = uart.devices().find(device => device.path == path);
+      if (device) device.port.close(err => {if (err) {util.showMsg("error", "Port close error: "+err);}});
+    }
+  });
+}
+
+/**
+ * @brief Handle a single frame received from UART or from a replayed capture
+ * @param data The frame as a Buffer, without the delimiter
+ * @param device The device state of the port, see uart.attach
+ */
+function handleFrame(data, device) {
+  if (!device.responded && !uart.parseChallenge(data, device)) return;
+  // read the data, send via MQTT on success and show errors in console on failure
+  reader.unwrap(data, device).then(comm.sendMsgs).catch(str => util.showMsg("error", str));
+}
+
 function sendDebugMsgs(msg) {
   let buff;
   if (gateway.isServer) {
@@ -119,91 +235,235 @@ function sendSensorData() {
 }
 
 /**
- * @brief Handles the console/terminal input from user when the UART is connected
- * @param line The line read from stdin
+ * @brief The number argument of the debug commands '.eat', '.exercise' and '.pet'
+ * @param args The arguments of the command
+ * @return The number, or undefined after showing an error
  */
-function consoleHandler(line) {
-  if (line[0] == '.') {
-    if (line == ".reconnect") {
-      gateway.port.close(err => {if (err) {util.showMsg("error", "Port close error: "+err);}});
+function debugAmount(args) {
+  let d = Number(args[0]);
+  if (isNaN(d)) {
+    util.showMsg("info", "Could not interpret the number '" + args[0] + "'.");
+    return;
+  }
+  return d;
+}
+
+commands.register(
+  {name: ".help", help: "Show this help",
+    run: () => {
+      let sendInstruction = gateway.isServer ?
+          "\nAny message not starting with '.' will be sent to address 0xffff."
+            + "\nAddress can be specified using XXXX# prefix.\n"
+          :
+          "\nAny message not starting with '.' will be sent to the SensorTag.\n";
+      util.showMsg("info", commands.help() + "\n" + sendInstruction);
+    }},
+  {name: ".reconnect", help: "Force reconnect of all ports",
+    run: () => {
+      closePorts();
       util.showMsg("info", "\n");
-    } else if (line == ".mute") {
+    }},
+  {name: ".mute", help: "Mute the 'Broker unreachable' warning",
+    run: () => {
       gateway.muteConnectionError = true;
       util.showMsg("info", "Subscriber connection errors muted.\n");
-    } else if (line == ".unmute") {
+    }},
+  {name: ".unmute", help: "Unmute the 'Broker unreachable' warning",
+    run: () => {
       gateway.muteConnectionError = false;
       util.showMsg("info", "Subscriber connection errors unmuted.\n")
-    } else if (gateway.debugMode && line.startsWith(".setid ")) {
-      if (line.length = 11) {
-        debug.id = line.substring(7)
+    }},
+  {name: ".outbox", args: ["[purge]"], help: "Show or discard the messages waiting for the backend connection",
+    complete: () => ["purge"],
+    run: ([arg]) => {
+      if (arg == "purge") {
+        let n = outbox.purge();
+        util.showMsg("info", "Removed " + n + " message" + (n != 1 ? "s" : "") + " from the outbox.");
+      } else if (arg == undefined) {
+        let n = outbox.size();
+        util.showMsg("info", n + " message" + (n != 1 ? "s" : "") + " in the outbox." +
+          outbox.list().map(([topic, msg]) => "\n  " + topic + " " + JSON.stringify(msg).substr(0, 100)).join(""));
+      } else util.showMsg("info", "Usage: .outbox [purge]");
+    }},
+  {name: ".ports", args: ["[pin|forget]", "[number|path]"], help: "List the serial ports, or pin or forget one",
+    complete: args => args.length == 0 ? ["pin", "forget"]
+      : args.length == 1 ? uart.devices().map(device => device.path).concat(portFinder.pinned()) : [],
+    run: portsCommand},
+  {name: ".delivery", help: "Show the messages waiting for an acknowledgement and the latest deliveries",
+    run: () => util.showMsg("info", uart.deliveryStatus())},
+  {name: ".queue", help: "Show the UART send queue and its dropped and delayed messages",
+    run: () => util.showMsg("info", uart.queueStatus())},
+  {name: ".sessions", help: "Show the open sensor data sessions and their memory use",
+    run: () => util.showMsg("info", sessions.describe())},
+  {name: ".tags", help: "Show the statistics of every SensorTag heard since the start",
+    run: () => util.showMsg("info", tags.describe())},
+  {name: ".tag", args: ["<id>"], help: "Show the statistics of one SensorTag, with its errors by kind",
+    complete: () => tags.list().map(tag => tag.sensortagID),
+    run: ([id]) => {
+      if (/^[0-9a-f]{1,4}$/i.test(id)) util.showMsg("info", tags.detail(id));
+      else util.showMsg("info", "Usage: .tag <id>, where id is the SensorTag ID, e.g. '.tag 0123'.");
+    }},
+  {name: ".crc", help: "Show the checksum results of the received frames by SensorTag",
+    run: () => util.showMsg("info", reader.crcStatus())},
+  {name: ".run", args: ["<file>"], help: "Run a test scenario file, see README.md",
+    run: ([file]) => scenario.run(file).catch(str => util.showMsg("error", str))},
+  {name: ".sim", mode: "simulator", help: "Show what the gateway has sent to the simulator",
+    run: () => {
+      let recv = simulator.received().slice(-20);
+      util.showMsg("info", "Simulator received " + simulator.received().length + " messages. Latest:" +
+        recv.map(k => "\n  " + new Date(k.time).toTimeString().split(" ")[0]
+          + (gateway.simulator.devices > 1 ? " " + k.path : "") + (k.addr ? " 0x" + k.addr : "") + " "
+          + JSON.stringify(k.str)).join(""));
+    }},
+  {name: ".setid", args: ["<id>"], mode: "debug", help: "Set the SensorTag ID of the debug messages",
+    run: ([id]) => {
+      if (/^[0-9a-f]{4}$/i.test(id)) {
+        debug.id = id;
         util.showMsg("info", `Set Debug ID to ${debug.id}.`);
-      } else util.showMsg("info", `Could not set Debug ID to ${line.substring(7)}`);
-    } else if (gateway.debugMode && line.startsWith(".eat ")) {
-      let d = Number(line.substring(5));
-      if (isNaN(d)) {
-        util.showMsg("info", "Could not interpret the command '" + line + "'");
-        return;
-      }
-      sendDebugMsgs("EAT:" + d);
-    } else if (gateway.debugMode && line.startsWith(".exercise ")) {
-      let d = Number(line.substring(5));
-      if (isNaN(d)) {
-        util.showMsg("info", "Could not interpret the command '" + line + "'");
-        return;
-      }
-      sendDebugMsgs("EXERCISE:" + d);
-    } else if (gateway.debugMode && line.startsWith(".pet ")) {
-      let d = Number(line.substring(5));
-      if (isNaN(d)) {
-        util.showMsg("info", "Could not interpret the command '" + line + "'");
-        return;
-      }
-      sendDebugMsgs("PET:" + d);
-    } else if (gateway.debugMode && line.startsWith(".send ")) {
-      sendDebugMsgs(line.substr(6));
-    } else if (gateway.debugMode && line == ".sendSensors") {
+      } else util.showMsg("info", `Could not set Debug ID to ${id}. It should be four hex digits.`);
+    }},
+  {name: ".eat", args: ["<amount>"], mode: "debug", help: "Receive 'EAT:amount' from the debug SensorTag",
+    run: args => {
+      let d = debugAmount(args);
+      if (d != undefined) sendDebugMsgs("EAT:" + d);
+    }},
+  {name: ".exercise", args: ["<amount>"], mode: "debug", help: "Receive 'EXERCISE:amount' from the debug SensorTag",
+    run: args => {
+      let d = debugAmount(args);
+      if (d != undefined) sendDebugMsgs("EXERCISE:" + d);
+    }},
+  {name: ".pet", args: ["<amount>"], mode: "debug", help: "Receive 'PET:amount' from the debug SensorTag",
+    run: args => {
+      let d = debugAmount(args);
+      if (d != undefined) sendDebugMsgs("PET:" + d);
+    }},
+  {name: ".send", args: ["<message...>"], mode: "debug", help: "Receive a message from the debug SensorTag",
+    run: (args, rest) => sendDebugMsgs(rest)},
+  {name: ".sendSensors", mode: "debug", help: "Receive a session of 40 rows from the debug SensorTag",
+    run: () => {
       debug.k = 40;
       sendDebugMsgs("session:start");
       debug.sensorData = setInterval(sendSensorData, 100);
-    } else if (line == ".help") {
-      let sendInstruction = gateway.isServer ?
-          "\nAny message not starting with '.' will be sent to address 0xffff."
-            + "\nAddress can be specified using XXXX# prefix.\n"
-          :
-          "\nAny message not starting with '.' will be sent to the SensorTag.\n";
-      util.showMsg("info", "Supported commands:\n" +
-        "  .reconnect   Force port reconnect\n" +
-        "  .mute        Mute the 'Broker unreachable' warning\n" +
-        "  .unmute      Unmute the 'Broker unreachable' warning\n" + sendInstruction);
-    } else util.showMsg("info", "Unknown command");
-  } else if (!gateway.isServer) { // not server, so all input is sent raw (internal: true)
-    uart.uartWrite({internal: true, str: line});
+    }}
+);
+
+/**
+ * @brief Handles the console/terminal input from user when the UART is connected
+ * @param line The line read from stdin
+ */
+function consoleHandler(line) {
+  if (line[0] == '.') commands.run(line);
+  else sendLine(line);
+}
+
+/**
+ * @brief Send a line typed in the console, or a line of a scenario, to the SensorTags
+ * @param line The line, not starting with '.'
+ */
+function sendLine(line) {
+  if (!gateway.isServer) { // not server, so all input is sent raw (internal: true)
+    uart.uartWrite({internal: true, str: line, priority: "console"});
   } else if (/[0-9a-f]{4}#.+/i.test(line)) { // check if the sensortag address is given in the beginning as 6261#message for sending "message" to id:ab
     let parts = line.split(/#(.+)/, 2);
-    uart.uartWrite({addr: parts[0], str: parts[1]});
+    uart.uartWrite({addr: parts[0], str: parts[1], priority: "console"});
   } else if (line.length > 0) { // gateway is server, so send all other data as broadcast messages
-    uart.uartWrite({addr: "ffff", str: line});
+    uart.uartWrite({addr: "ffff", str: line, priority: "console"});
   }
 }
 
+/**
+ * @brief Run gateway.scenario.file when a serial device is ready, and exit with the exit code 1 if
+ * the scenario could not be run or a step failed
+ */
+function runScenario() {
+  let exit = (code) => {
+    process.exitCode = code;
+    closePorts();
+    comm.end("Scenario finished");
+  };
+  scenario.load(gateway.scenario.file).then(() => {
+    let start = Date.now();
+    let poll = setInterval(() => {
+      if (uart.devices().some(device => device.responded)) {
+        clearInterval(poll);
+        scenario.run(gateway.scenario.file).then(result => exit(result.failed ? 1 : 0), str => {
+          util.showMsg("error", str);
+          exit(1);
+        });
+      } else if (Date.now() - start > gateway.scenario.connectTimeout) {
+        clearInterval(poll);
+        util.showMsg("error", "No serial device was ready in " + gateway.scenario.connectTimeout
+          + " ms. The scenario was not run.");
+        exit(1);
+      }
+    }, 100);
+  }, str => {
+    util.showMsg("error", str);
+    exit(1);
+  });
+}
+
+/**
+ * @brief Close all connected serial ports
+ */
+function closePorts() {
+  for (const device of uart.devices())
+    device.port.close(err => {if (err) {util.showMsg("error", "Port close error: "+err);}});
+}
+
 // SIGINT handler
 process.once('SIGINT', function(code) {
-  util.showMsg("info", "Gateway encountered SIGINT. Exiting.").then(() => {gateway.port.close(err => {if (err) {util.showMsg("error", "Port close error: "+err);}}); comm.end("SIGINT")}).catch((err) => comm.end("SIGINT"));
+  util.showMsg("info", "Gateway encountered SIGINT. Exiting.").then(() => {closePorts(); comm.end("SIGINT")}).catch((err) => comm.end("SIGINT"));
 });
 // SIGTERM handler
 process.once('SIGTERM', function(code) {
-  util.showMsg("info", "Gateway encountered SIGTERM. Exiting.").then(() => {gateway.port.close(err => {if (err) {util.showMsg("error", "Port close error: "+err);}}); comm.end("SIGTERM")}).catch((err) => comm.end("SIGTERM"));
+  util.showMsg("info", "Gateway encountered SIGTERM. Exiting.").then(() => {closePorts(); comm.end("SIGTERM")}).catch((err) => comm.end("SIGTERM"));
 });
 
 let debug = {id: "0123"};
 
+if (gateway.log.enabled) logger.start();
+commands.start();
+scenario.init(sendLine);
+if (gateway.printConfig) util.showMsg("info", require("./lib/settings").describe(gateway));
+
 // Start communication to backend
 if (!gateway.offline) comm.startComm();
+if (gateway.dashboard.enabled) dashboard.start();
 // Start program
-if (!gateway.debugMode) {
+if (gateway.replay.file) {
+  util.rl.on("line", consoleHandler);
+  capture.load(gateway.replay.file).then(([header, frames]) => {
+    if (header) {
+      gateway.isServer = header.isServer; // the frames are only readable in the captured mode
+      util.showMsg("info", "Replaying a " + (header.isServer ? "server" : "client") + " mode capture from "
+        + header.time + " (" + frames.length + " frames).");
+    }
+    // The frames are read without waiting for the challenge response, which the capture may not
+    // contain. A challenge response in the capture is shown, and heartbeat replies are read as usual
+    let device = {path: gateway.replay.file, responded: true, hbTime: Date.now()};
+    return capture.replay(frames, gateway.replay.speed, data => {
+      if (gateway.isServer && data.length > 2 && data.readUInt16LE() == 0xfefe && data[2] == 1
+          && !/^HB\0*$/.test(data.toString("latin1", 3)))
+        uart.parseChallenge(data, device);
+      else handleFrame(data, device);
+    });
+  }).then(n =>
+    util.showMsg("info", "Replay finished: " + n + " frame" + (n != 1 ? "s" : "") + " replayed.")
+  ).catch(str => util.showMsg("error", str));
+} else if (gateway.simulator.enabled) {
+  if (gateway.capture.enabled) capture.start();
+  util.rl.on("line", consoleHandler);
+  util.showMsg("info", "Connecting to the simulator.");
+  simulator.install().forEach(main);
+} else if (!gateway.debugMode) {
+  if (gateway.capture.enabled) capture.start();
   process.stdout.write("\033[s"); // save cursor position
   portFinder.init(consoleHandler);
-  portFinder.findPorts().then(main);
+  if (configuredPaths().length) {
+    util.rl.on("line", consoleHandler);
+    configuredPaths().forEach(main);
+  } else search();
 } else {
   //reader.unwrap(Buffer.from("adping,event:UP\x00\x00")).then(console.log).catch(console.error);
   util.rl.on("line", consoleHandler);
@@ -217,3 +477,8 @@ if (!gateway.debugMode) {
     //fun();
   }
 }
+
+if (gateway.scenario.file) {
+  util.rl.removeAllListeners("close"); // the scenario ends the program, also when stdin is closed
+  runScenario();
+}
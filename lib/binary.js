@@ -0,0 +1,90 @@
+/**
+ * @file binary.js
+ * @brief Compact binary sensor data frames
+ *
+ * A binary frame carries one row of sensor data. All values are little-endian:
+ *    byte 0       frame type: 0x02 when the values are float32, 0x03 when they are scaled int16
+ *    2 bytes      SensorTag ID as uint16, only when not in server use (the ServerTag prepends it)
+ *    2 bytes      field bitmap as uint16: bit i is set when the field i of binary.fields() is present
+ *    4 bytes      timestamp as uint32, milliseconds
+ *    4/2 bytes    the value of each present field in the order of binary.fields
+ * An int16 value is the sensor value multiplied by the scale of its field and rounded.
+ */
+const gateway = require("../config");
+
+let binary = {};
+
+binary.FLOAT32 = 0x02;
+binary.INT16 = 0x03;
+
+/**
+ * @brief The fields of binary frames in bitmap order: the sensor data session columns except the
+ * timestamp, in the order they are declared in config.js
+ * @return Array of {name, scale}
+ */
+binary.fields = () => gateway.sessionFields.filter(f => f.nameInDB != "timeStamp")
+  .map(f => ({name: f.nameInDB, scale: f.scale || 1}));
+
+/**
+ * @brief Check if a received buffer is a binary frame
+ * @param data Buffer received from UART, after escape decoding
+ * @param isServer True in server use, where the buffer begins with the sender address
+ */
+binary.isBinary = (data, isServer) => {
+  let type = data[isServer ? 2 : 0];
+  return type == binary.FLOAT32 || type == binary.INT16;
+}
+
+/**
+ * @brief Decode a binary frame
+ * @param data Buffer received from UART, after escape decoding
+ * @param isServer True in server use, where the buffer begins with the sender address
+ * @return [addr, row], where addr is the SensorTag ID as four hex characters and row is a
+ * dictionary of the sensor data columns including timeStamp. Throws an error string
+ */
+binary.decode = (data, isServer) => {
+  let type = data[isServer ? 2 : 0], size = type == binary.FLOAT32 ? 4 : 2;
+  if (data.length < 9) throw "Error: Binary frame is too short for its header.";
+  // Both layouts have the type and the ID in the first three bytes
+  let addr = ("0000" + data.readUInt16LE(isServer ? 0 : 1).toString(16)).slice(-4);
+  let bitmap = data.readUInt16LE(3), row = {timeStamp: data.readUInt32LE(5)}, offset = 9;
+  let fields = binary.fields();
+  if (bitmap >> fields.length)
+    throw "Error: Binary frame has unknown fields in its bitmap: 0x" + bitmap.toString(16);
+  for (let i = 0; i < fields.length; i++) {
+    if (!(bitmap & (1 << i))) continue;
+    if (data.length < offset + size)
+      throw "Error: Binary frame is too short for the fields in its bitmap.";
+    row[fields[i].name] = type == binary.FLOAT32 ? // float32 has about 7 significant digits
+      Number(data.readFloatLE(offset).toPrecision(7)) : data.readInt16LE(offset) / fields[i].scale;
+    offset += size;
+  }
+  return [addr, row];
+}
+
+/**
+ * @brief Encode a row of sensor data into a binary frame, like a SensorTag would
+ * @param addr The SensorTag ID as four hex characters
+ * @param row Dictionary of the sensor data columns, with timeStamp
+ * @param isServer True to leave out the ID, which the ServerTag prepends in server use
+ * @param type binary.FLOAT32 or binary.INT16
+ * @return The frame as a Buffer
+ */
+binary.encode = (addr, row, isServer, type = binary.FLOAT32) => {
+  let fields = binary.fields(), present = fields.filter(f => row[f.name] != null);
+  let size = type == binary.FLOAT32 ? 4 : 2, offset = isServer ? 1 : 3;
+  let data = Buffer.alloc(offset + 6 + present.length * size);
+  data[0] = type;
+  if (!isServer) data.writeUInt16LE(Number.parseInt(addr, 16), 1);
+  data.writeUInt16LE(fields.reduce((b, f, i) => row[f.name] != null ? b | (1 << i) : b, 0), offset);
+  data.writeUInt32LE(row.timeStamp || 0, offset + 2);
+  offset += 6;
+  for (const f of present) {
+    if (type == binary.FLOAT32) data.writeFloatLE(row[f.name], offset);
+    else data.writeInt16LE(Math.max(-32768, Math.min(32767, Math.round(row[f.name] * f.scale))), offset);
+    offset += size;
+  }
+  return data;
+}
+
+module.exports = binary;
@@ -0,0 +1,109 @@
+/**
+ * @file capture.js
+ * @brief Capture of raw UART traffic into a file, and replay of captured traffic
+ *
+ * A capture file has one JSON object per line. The first line is a header describing the gateway
+ * mode, and each following line is a frame: {t: ms since epoch, dir: "rx"/"tx", data: hex string}.
+ * With several serial devices connected, the frames also have the path of their port in 'port'.
+ * Received frames are recorded after the UART parser, so they no longer contain the delimiter.
+ */
+const fs = require("fs");
+const path = require("path");
+const moment = require("moment");
+const gateway = require("../config");
+const util = require("./util");
+
+let capture = {};
+let stream = null;
+
+/**
+ * @brief Open a new timestamped capture file in the capture directory
+ */
+capture.start = () => {
+  let file = path.join(gateway.capture.dir, "capture-" + moment().format("YYYYMMDD-HHmmss") + ".jsonl");
+  try {
+    fs.mkdirSync(gateway.capture.dir, {recursive: true});
+  } catch (e) {
+    util.showMsg("error", "Could not create the capture directory: " + e.message);
+    return;
+  }
+  stream = fs.createWriteStream(file, {flags: "a"});
+  stream.on("error", err => {
+    util.showMsg("error", "UART capture stopped: " + err.message);
+    stream = null;
+  });
+  stream.write(JSON.stringify({
+    type: "header",
+    time: moment().utc().toJSON(),
+    isServer: gateway.isServer,
+    pipe: gateway.uart.pipe,
+    baudRate: gateway.uart.baudRate
+  }) + "\n");
+  util.showMsg("info", "Capturing UART traffic to " + file + ".");
+}
+
+/**
+ * @brief Write a frame to the capture file, if capturing
+ * @param dir "rx" for frames received from UART, "tx" for buffers written to UART
+ * @param data Buffer of the frame
+ * @param port The path of the serial port, or undefined
+ */
+capture.record = (dir, data, port) => {
+  if (!stream) return;
+  stream.write(JSON.stringify({t: Date.now(), dir: dir, data: data.toString("hex"), port: port}) + "\n");
+}
+
+/**
+ * @brief Read a capture file
+ * @param file Path to the capture file
+ * @return Promise resolving with [header, frames], where header is null for a capture without one.
+ * Rejects with an error string
+ */
+capture.load = (file) => {
+  return new Promise((resolve, reject) => {
+    let frames = [], header = null;
+    try {
+      for (const line of fs.readFileSync(file, "utf8").split("\n")) {
+        if (line.trim() == "") continue;
+        let entry = JSON.parse(line);
+        if (entry.type == "header") header = entry;
+        else frames.push(entry);
+      }
+    } catch (e) {
+      reject("Error: Could not read capture file " + file + ": " + e.message);
+      return;
+    }
+    resolve([header, frames]);
+  });
+}
+
+/**
+ * @brief Feed the received frames of a capture to a handler, with the captured timing
+ * @param frames The frames of a capture, as given by capture.load
+ * @param speed Replay speed multiplier. 1 is the original pace, 0 replays without delays
+ * @param handler Function called with the Buffer of each received frame
+ * @return Promise resolving with the number of replayed frames
+ */
+capture.replay = (frames, speed, handler) => {
+  return new Promise(resolve => {
+    let count = 0;
+    let next = (i) => {
+      if (i >= frames.length) {
+        resolve(count);
+        return;
+      }
+      let data = Buffer.from(frames[i].data, "hex");
+      if (frames[i].dir == "rx") {
+        count++;
+        handler(data);
+      } else if (gateway.debugMode) {
+        util.showMsg("debug", "Captured UART write: " + JSON.stringify(data.toString("binary").replace(/\0*$/, '')));
+      }
+      let delay = (i + 1 < frames.length && speed > 0) ? (frames[i+1].t - frames[i].t) / speed : 0;
+      setTimeout(() => next(i + 1), Math.max(delay, 0));
+    };
+    next(0);
+  });
+}
+
+module.exports = capture;
@@ -0,0 +1,312 @@
+/**
+ * @file cli.js
+ * @brief Command line interface of the gateway program
+ *
+ * Options can be given in short form (-s), combined (-so, -b9600), or in long form (--server,
+ * --baud 9600, --baud=9600). Invalid options and values print an error and exit the process.
+ */
+const pkg = require("../package.json");
+const settings = require("./settings");
+
+let cli = {};
+
+const baudRates = [4800, 9600, 19200, 38400, 57600, 76800, 115200];
+const logLevels = ["none", "error", "info", "debug"];
+
+/**
+ * Command line options. Element description:
+ *  short - single character option name, or undefined
+ *  long  - long option name
+ *  arg   - name of the argument shown in help, or undefined if the option takes no argument
+ *  parse - function converting the argument string into a value. Throws an error string
+ *  help  - description shown in help
+ *  apply - function (dict, value) making the change into the dictionary 'gateway' in config.js
+ */
+cli.options = [
+  {short: "a", long: "replay-speed", arg: "speed", parse: number(0),
+    help: "Replay the capture speed times faster. 0 replays without delays.",
+    apply: (dict, v) => dict.replay.speed = v},
+  {short: "b", long: "baud", arg: "baudRate", parse: baudRate,
+    help: "Set UART baudrate. Should be one of following:\n  " + baudRates.join(", ") + ".",
+    apply: (dict, v) => dict.uart.baudRate = v},
+  {long: "backend", arg: "url", parse: url,
+    help: "Connect to the backend at url instead of the configured one. With the file transport,\n"
+      + "url is a file:// URL of the file.",
+    apply: (dict, v) => {
+      if (dict.transport == "socket") dict.socket.host = v;
+      else if (dict.transport == "mqtt") dict.mqtt.host = v;
+      else if (dict.transport == "http") dict.http.url = v;
+      else dict.sink.path = v.replace(/^file:\/\//, "");
+    }},
+  {short: "c", long: "capture",
+    help: "Capture all UART traffic into a timestamped file in the capture directory.",
+    apply: dict => dict.capture.enabled = true},
+  {long: "crc", arg: "off|optional|required", parse: oneOf(["off", "optional", "required"]),
+    help: "Set how the checksums of the received frames are checked. See README.md.",
+    apply: (dict, v) => dict.crc.uplink = v},
+  {long: "crc-downlink",
+    help: "End the messages sent to SensorTags in a checksum.",
+    apply: dict => dict.crc.downlink = true},
+  {short: "d", long: "debug",
+    help: "Use debug mode. Shows extra data, and can be used to test messages.",
+    apply: dict => dict.debugMode = true},
+  {long: "delim", arg: "bytes", parse: delimiter,
+    help: "Set the UART message delimiter as byte values separated by commas, e.g. 0 or 13,10.",
+    apply: (dict, v) => dict.uart.delim = v},
+  {short: "e", long: "export", arg: "csv|json", parse: oneOf(["csv", "json"]),
+    help: "Export completed sensor data sessions to files in the export directory.",
+    apply: (dict, v) => { dict.export.enabled = true; dict.export.format = v; }},
+  {short: "f", long: "config", arg: "configFile", parse: str => str,
+    help: "Read settings from a JSON configuration file. See README.md.",
+    apply: () => {}}, // loaded already in settings.load
+  {long: "heartbeat", arg: "ms", parse: integer(1000),
+    help: "Set the ServerTag heartbeat interval in milliseconds.",
+    apply: (dict, v) => dict.heartbeatInterval = v},
+  {short: "h", long: "help",
+    help: "Show this help and exit."},
+  {long: "idle-timeout", arg: "ms", parse: integer(0),
+    help: "Close sensor data sessions that have received no rows in ms milliseconds. 0 disables.",
+    apply: (dict, v) => dict.sessions.idleTimeout = v},
+  {short: "l", long: "log", arg: "file", parse: str => str,
+    help: "Write all messages into a log file, which is rotated when it grows large.",
+    apply: (dict, v) => { dict.log.enabled = true; dict.log.file = v; }},
+  {long: "log-format", arg: "plain|json", parse: oneOf(["plain", "json"]),
+    help: "Set the format of the log file: plain text lines or JSON lines.",
+    apply: (dict, v) => dict.log.format = v},
+  {long: "log-level", arg: "level", parse: oneOf(logLevels),
+    help: "Set which messages are shown in the console: " + logLevels.join(", ") + ".",
+    apply: (dict, v) => dict.logLevel = v},
+  {short: "m", long: "manual",
+    help: "Set port selection to manual. Disables automatic selection.",
+    apply: dict => dict.ports.autofind = false},
+  {long: "max-ports", arg: "n", parse: integer(1),
+    help: "Connect to up to n automatically found serial devices at the same time.",
+    apply: (dict, v) => dict.ports.max = v},
+  {long: "max-rows", arg: "rows", parse: integer(1),
+    help: "Set the maximum number of rows in a sensor data session.",
+    apply: (dict, v) => dict.maxSessionRows = v},
+  {short: "o", long: "offline",
+    help: "Set gateway to offline mode, and the connection to backend is not established.",
+    apply: dict => dict.offline = true},
+  {short: "p", long: "print-config",
+    help: "Print the effective configuration on startup.",
+    apply: dict => dict.printConfig = true},
+  {long: "pipe", arg: "delimiter|length", parse: oneOf(["delimiter", "length"]),
+    help: "Set the UART message parser type.",
+    apply: (dict, v) => dict.uart.pipe = v},
+  {long: "port", arg: "path", parse: str => str,
+    help: "Connect to the serial port at path, e.g. /dev/ttyACM0 or COM3. Disables port search.\n"
+      + "Can be given several times to connect to several ports.",
+    apply: (dict, v) => dict.ports.paths = dict.ports.paths.concat(v)}, // a new array, so it is shown as changed
+  {short: "r", long: "replay", arg: "captureFile", parse: str => str,
+    help: "Replay the received frames of a capture file without a serial port.",
+    apply: (dict, v) => dict.replay.file = v},
+  {long: "run", arg: "scenarioFile", parse: str => str,
+    help: "Run a test scenario when the serial device is ready, and exit. The exit code is 1 if a\n"
+      + "step failed. See README.md.",
+    apply: (dict, v) => dict.scenario.file = v},
+  {short: "s", long: "server",
+    help: "Use automatic config for server usage.",
+    apply: dict => {
+      dict.isServer = true;
+      settings.useServerUart(dict);
+    }},
+  {long: "stream", arg: "rows", parse: integer(1),
+    help: "Stream sensor data sessions to the backend in chunks of rows rows.",
+    apply: (dict, v) => { dict.stream.enabled = true; dict.stream.chunkRows = v; }},
+  {short: "t", long: "reliable", arg: "retries", parse: integer(0),
+    help: "Resend messages to SensorTags until they are acknowledged, at most retries times.",
+    apply: (dict, v) => { dict.delivery.enabled = true; dict.delivery.retries = v; }},
+  {long: "transport", arg: "name", parse: oneOf(["socket", "mqtt", "http", "file"]),
+    help: "Send the messages to the backend with socket.io, MQTT, an HTTP webhook or into a file.",
+    apply: (dict, v) => dict.transport = v},
+  {long: "txlength", arg: "bytes", parse: integer(4),
+    help: "Set the length of the messages sent over UART.",
+    apply: (dict, v) => dict.uart.txlength = v},
+  {long: "usb-id", arg: "vid[:pid]", parse: usbId,
+    help: "Find the serial devices with this USB vendor ID and optionally product ID, as hex numbers,\n"
+      + "instead of SensorTags.",
+    apply: (dict, v) => dict.ports.filters = [v]},
+  {short: "v", long: "simulator",
+    help: "Connect to a virtual SensorTag, or with -s to a virtual ServerTag.",
+    apply: dict => dict.simulator.enabled = true},
+  {short: "V", long: "version",
+    help: "Show the version and exit."},
+  {short: "w", long: "dashboard",
+    help: "Start the web dashboard.",
+    apply: dict => dict.dashboard.enabled = true},
+];
+
+/**
+ * @brief Make a parser for integers
+ * @param min The smallest accepted value
+ */
+function integer(min) {
+  return str => {
+    let t = Number(str);
+    if (str.trim() == "" || !Number.isInteger(t)) throw "Invalid integer: " + str;
+    if (t < min) throw "The value should be at least " + min + ": " + str;
+    return t;
+  };
+}
+
+/**
+ * @brief Make a parser for numbers
+ * @param min The smallest accepted value
+ */
+function number(min) {
+  return str => {
+    let t = Number(str);
+    if (str.trim() == "" || !Number.isFinite(t)) throw "Invalid number: " + str;
+    if (t < min) throw "The value should be at least " + min + ": " + str;
+    return t;
+  };
+}
+
+/**
+ * @brief Make a parser accepting only the given values
+ * @param values Array of the accepted strings
+ */
+function oneOf(values) {
+  return str => {
+    if (!values.includes(str)) throw "Invalid value " + str + ". Should be one of: " + values.join(", ") + ".";
+    return str;
+  };
+}
+
+/**
+ * @brief Parse a baud rate, allowing only the baud rates supported by the SensorTag
+ */
+function baudRate(str) {
+  let t = Number(str);
+  if (!baudRates.includes(t)) throw "Invalid baud rate " + str + ". Should be one of: " + baudRates.join(", ") + ".";
+  return t;
+}
+
+/**
+ * @brief Parse a delimiter given as byte values separated by commas
+ */
+function delimiter(str) {
+  let bytes = str.split(",").map(k => k.trim() == "" ? NaN : Number(k));
+  if (!bytes.every(k => Number.isInteger(k) && k >= 0 && k < 256))
+    throw "Invalid delimiter " + str + ". Should be byte values separated by commas, e.g. 0 or 13,10.";
+  return Buffer.from(bytes);
+}
+
+/**
+ * @brief Parse a USB vendor ID and an optional product ID, e.g. "0451:bef3"
+ * @return A port filter, see gateway.ports.filters
+ */
+function usbId(str) {
+  let m = str.match(/^([0-9a-f]{4})(?::([0-9a-f]{4}))?$/i);
+  if (!m) throw "Invalid USB ID: " + str + ". Expected four hex digits, optionally followed by ':' and four more.";
+  return m[2] ? {vendorId: m[1].toLowerCase(), productId: m[2].toLowerCase()} : {vendorId: m[1].toLowerCase()};
+}
+
+/**
+ * @brief Parse a backend URL
+ */
+function url(str) {
+  if (!/^(https?|wss?|mqtts?|file):\/\/.+/.test(str)) throw "Invalid backend URL: " + str;
+  return str;
+}
+
+/**
+ * @brief Print an error and exit the process
+ */
+function fail(str) {
+  console.error(str + "\nSee 'node gateway --help' for the options.");
+  process.exit(1);
+}
+
+/**
+ * @brief Generate the help text from cli.options
+ */
+cli.usage = () => {
+  let lines = ["Usage:", "  node gateway [options]", "Options:"];
+  for (const option of cli.options) {
+    lines.push("  " + (option.short ? "-" + option.short + ", " : "    ") + "--" + option.long
+      + (option.arg ? " " + option.arg : ""));
+    lines.push(option.help.split("\n").map(k => "        " + k).join("\n"));
+  }
+  return lines.join("\n");
+}
+
+/**
+ * @brief Parse the vector of command line arguments. Prints help or the version and exits if asked.
+ * @param argv The arguments, without the node executable and the script name
+ * @return Array of [option, value] pairs in the order they were given
+ */
+cli.parseArgv = (argv = process.argv.slice(2)) => {
+  let result = [], k = 0;
+  let take = (option, inline, name) => { // read the option argument and parse it
+    let str = inline;
+    if (option.arg && str === undefined) {
+      if (++k >= argv.length) fail("Missing " + option.arg + " for " + name);
+      str = argv[k];
+    } else if (!option.arg && str !== undefined) {
+      fail("Option " + name + " doesn't take an argument");
+    }
+    try {
+      result.push([option, option.arg ? option.parse(str) : true]);
+    } catch (e) {
+      fail(e);
+    }
+  };
+  for (; k < argv.length; k++) {
+    let arg = argv[k];
+    if (arg.startsWith("--")) {
+      let [name, ...rest] = arg.slice(2).split("=");
+      let option = cli.options.find(o => o.long == name);
+      if (!option) fail("Unknown option: --" + name);
+      take(option, rest.length ? rest.join("=") : undefined, "--" + name);
+    } else if (arg.startsWith("-") && arg.length > 1) {
+      for (let i = 1; i < arg.length; i++) { // combined short options: -so, -b9600
+        let option = cli.options.find(o => o.short == arg[i]);
+        if (!option) fail("Unknown option: -" + arg[i]);
+        if (option.arg) {
+          take(option, i + 1 < arg.length ? arg.slice(i + 1) : undefined, "-" + arg[i]);
+          break;
+        }
+        take(option, undefined, "-" + arg[i]);
+      }
+    } else {
+      fail("Unexpected argument: " + arg);
+    }
+  }
+  if (result.some(([o]) => o.long == "help")) {
+    console.log(cli.usage());
+    process.exit(0);
+  }
+  if (result.some(([o]) => o.long == "version")) {
+    console.log(pkg.name + " " + pkg.version);
+    process.exit(0);
+  }
+  return result;
+}
+
+/**
+ * @brief Find the configuration file given on the command line
+ * @param options Parsed options from cli.parseArgv
+ * @return Path of the file, or undefined
+ */
+cli.configFile = (options) => {
+  let config = options.filter(([o]) => o.long == "config").pop();
+  return config ? config[1] : undefined;
+}
+
+/**
+ * @brief Apply the parsed command line options
+ * @param dict The dictionary 'gateway' defined in config.js
+ * @param options Parsed options from cli.parseArgv
+ */
+cli.apply = (dict, options) => {
+  // The transport is applied first, as --backend sets the URL of the chosen transport
+  let first = options.filter(([o]) => o.long == "transport");
+  for (const [option, value] of first.concat(options.filter(([o]) => o.long != "transport")))
+    option.apply(dict, value);
+  // Debug mode shows its debug messages unless the log level was given
+  if (dict.debugMode && !options.some(([o]) => o.long == "log-level")) dict.logLevel = "debug";
+}
+
+module.exports = cli;
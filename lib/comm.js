@@ -1,128 +1,181 @@
 /**
  * @file comm.js
- * @brief MQTT communication functions for the gateway program
- * @author Vili Pelttari
+ * @brief Backend communication of the gateway program, common to all transports
+ *
+ * The transport is chosen with gateway.transport. Each transport in lib/transports implements
+ *    connect(events)    open the connection. 'events' has the functions connect(), disconnect(),
+ *                       notification(event) and message(event), which the transport calls
+ *    connected()        true when messages can be sent
+ *    emit(topic, msg)   send a message. Returns a Promise that rejects if it was not sent
+ *    end(reason)        close the connection. Returns a Promise
+ * The topic handling, the outbox and the messages to SensorTags are the same for every transport.
  */
-const mqtt = require("mqtt");
+const moment = require("moment");
 const gateway = require("../config");
-const uart = require("./uart");
 const util = require("./util");
-const moment = require("moment");
-const mqclient = mqtt.connect(gateway.mqtt.host, gateway.mqtt.options);
+const uart = require("./uart");
+const outbox = require("./outbox");
 
 let comm = {};
 
-let receiveCounter = 0;
+comm.transports = {
+  socket: "./transports/socket",
+  mqtt: "./transports/mqtt",
+  http: "./transports/http",
+  file: "./transports/file"
+};
+let transport = null; // loaded in startComm, so only the used transport connects
 
 /**
- * @brief Publish an MQTTS packet to the broker specified in 'mqclient'
- * @param topic The topic where this message should be sent to
- * @param msg Object representing the message to send
+ * @brief Send a message to the backend, or keep it in the outbox if the connection is down
+ * @param topic The backend topic
+ * @param msg Object representing the message
  * @return General resolve promise for running code after the transaction
- *
- * All modification to messages and topics should be made in config.js.
  */
 send = comm.send = (topic, msg) => {
   return new Promise(resolve => {
-    //console.log("Sending", JSON.stringify(msg), "on", topic);
-    let options = {};
-    mqclient.publish(topic, JSON.stringify(msg), options, err=>{
-      if (err)
-        console.error("Could not publish message to MQTT broker:", err.message);
-    });
+    if (gateway.offline || !transport) {
+      resolve();
+      return;
+    }
+    if (gateway.debugMode) util.showMsg("debug", topic + " " + JSON.stringify(msg));
+    if (transport.connected() && !outbox.draining())
+      transport.emit(topic, msg).catch(() => outbox.push(topic, msg)); // keep the message until the connection is back
+    else outbox.push(topic, msg);
     resolve();
   });
 }
 
 /**
- * @brief Send messages to all topics in msg
+ * @brief Send messages to all topics in msg. Tamagotchi actions are sent as an 'event' and a
+ * 'tamagotchiUpdate' for each of eat, exercise and pet.
  * @param msg A dictionary of topics, with dictionary values representing the message to be sent to
  * this topic
  */
 sendMsgs = comm.sendMsgs = (msg) => {
+  if (gateway.offline) return;
   for (const topic of gateway.topics) {
-    if (msg[topic]) {
+    if (msg[topic] && topic == "event") {
+      let m = {}, labels = ["eat", "exercise", "pet"], n = {};
+      for (let k = 0; k < 3; k++) {
+        if (msg[topic].tamaActions[k] == 0)
+          continue;
+        m = {
+          "sensortagID": msg[topic].sensortagID,
+          //"timeStamp": moment().utc().toJSON(),
+          "event": labels[k],
+          "increasedBy": msg[topic].tamaActions[k]
+        };
+        n = {
+          "sensortagID": msg[topic].sensortagID,
+          "event": labels[k],
+          "timeStamp": moment().utc().toJSON()
+        };
+        send("event", n);
+        send("tamagotchiUpdate", m);
+      }
+
+    } else if (msg[topic]) {
       if (!msg[topic].timeStamp) msg[topic].timeStamp = moment().utc().toJSON();
       send(topic, msg[topic]);
     }
   }
 }
 
-let ttl = 0, stime = 0;
+/**
+ * @brief Check if a SensorTag has sent something to this gateway within
+ * gateway.connectedAddressTimeout. Messages to other SensorTags are left for other gateways.
+ * @param id The SensorTag ID, with or without the leading zeros
+ */
+isPresent = comm.isPresent = (id) => {
+  let addr = ("0000" + id).slice(-4).toLowerCase();
+  let key = Object.keys(gateway.connectedAddresses).find(k => k.toLowerCase() == addr);
+  return key != undefined && Date.now() - gateway.connectedAddresses[key] <= gateway.connectedAddressTimeout;
+}
 
 /**
- * @brief Start the MQTT
+ * @brief Forget the SensorTags that haven't sent anything within gateway.connectedAddressTimeout
  */
-startComm = comm.startComm = () => {
-  /* Connection event handler. Subscribes to topics. Connection is automatically re-established after
-   * connection loss
-   */
-  mqclient.on("connect", () => {
-    console.log("Connected to MQTT Broker");
-    ttl = stime = 0;
-    mqclient.subscribe("game"); // subscribe to topic 'game'
-  });
+function pruneAddresses() {
+  let now = Date.now();
+  for (const [addr, time] of Object.entries(gateway.connectedAddresses))
+    if (now - time > gateway.connectedAddressTimeout) delete gateway.connectedAddresses[addr];
+}
 
-  /* Message event handler. Comprehends commands and other messages aimed at this gateway.
-   *
-   * Currently used for sending messages from the broker to connected SensorTag. These messages are
-   * on topic 'game', and contain key-value pairs 'sensortagID': ID of SensorTag in question,
-   * 'wall': character hit the wall, 'villain': character hit the villain.
-   */
-  mqclient.on("message", (topic, msg) => {
-    try {
-      rxDict = JSON.parse(msg.toString());
-    } catch(e) {
-      util.showMsg("error", "Bad input JSON string received via MQTT: " + msg.toString());
-      return;
-    }
-    // Note the addresses attached to this gateway, so the same message will not be sent to
-    // multiple gateways:
-    if (topic == 'game' && rxDict.sensortagID) {
-      receiveCounter++;
-      if (Date.now() - gateway.connectedAddresses[rxDict.sensortagID] >
-        gateway.connectedAddressTimeout || !gateway.connectedAddresses[rxDict.sensortagID]) return;
-      if (receiveCounter >= 20) { // remove old entries
-        let now = Date.now();
-        receiveCounter = 0;
-        gateway.connectedAddresses = Object.assign({}, ...
-          Object.entries(gateway.connectedAddresses).filter(([k, v]) => now - v >
-            gateway.connectedAddressTimeout).map(([k, v]) => ({[k]: v}))
-        );
+/**
+ * @brief Connect to the backend with the transport in gateway.transport
+ */
+startComm = comm.startComm = () => {
+  let blacklist = {}, blockedSendCount = 0, blacklistTime = 2000;
+  transport = require(comm.transports[gateway.transport]);
+  if (outbox.size() > 0)
+    util.showMsg("info", outbox.size() + " message" + (outbox.size() != 1 ? "s" : "") + " waiting in the outbox.");
+  transport.connect({
+    connect: () => {
+      util.rl.setPrompt('\033[0m$ ');
+      util.showMsg("info", "Connected to Backend server.");
+      if (outbox.size() > 0 && !outbox.draining()) {
+        outbox.drain(transport.emit).then(n => {
+          util.showMsg("info", "Sent " + n + " message" + (n != 1 ? "s" : "") + " from the outbox."
+            + (outbox.size() ? " " + outbox.size() + " still waiting." : ""));
+        });
       }
-    }
-    if (topic == "game") {
-      if ("sensortagID" in rxDict && rxDict.wall) {
-        uart.uartWrite({addr: "ffff", str: rxDict.sensortagID.replace(/^0+/, '') + ",LOST GAME"});
-      } else if ("sensortagID" in rxDict && rxDict.villain) {
-        uart.uartWrite({addr: "ffff", str: rxDict.sensortagID.replace(/^0+/, '') + ",WIN"});
+    },
+
+    disconnect: () => {
+      util.rl.setPrompt('\033[31m$\033[0m ');
+      util.showMsg("error", "Disconnected from Backend server! Messages will be kept in the outbox.");
+    },
+
+    notification: (event) => {
+      /* event has fields sensortagID, notifications */
+      // Limit duplicates of same messages to same id
+      let message = event.notifications.join(";"), now = Date.now(), id = event.sensortagID;
+      // If id has not been seen before, add the new message to blacklist
+      if (!blacklist[id]) blacklist[id] = [[message, now]];
+      else {
+        // Remove all expired blacklist entries for this id
+        blacklist[id] = blacklist[id].filter(k => now - k[1] <= blacklistTime);
+        // Check if the current message is in blacklist for this id, and save index
+        let item = blacklist[id].findIndex(k => k[0] === message);
+        if (item > -1) { // Message is in blacklist. Update the entry with new time and abort
+          blacklist[id][item][1] = now;
+          // count up
+          blockedSendCount++;
+          return;
+        } else // If message is not in existing blacklist, add it
+          blacklist[id].push([message, now]);
       }
-    }
-  });
+      uart.uartWrite({addr: "ffff", str: event.sensortagID.replace(/^0+/, '') + ",BEEP:" + message,
+        to: event.sensortagID, blockedCount: blockedSendCount});
+      blockedSendCount = 0;
+    },
 
-  /* Connection error handler. Triggered every time an error occurs. Automatic reconnection attempts
-   * also trigger it and the ttl--stime logic is to limit repeated error messages.
-   *
-   * This can be muted using '.mute' or the muteConnectionError constant in config.js.
-   */
-  mqclient.on("error", err => {
-    if (err.code == "ECONNREFUSED") {
-      if (ttl > 0) {ttl--; return;}
-      if (!gateway.muteConnectionError)
-        console.log("Broker unreachable:", err.message);
-      ttl = stime = (stime < 50 ? stime+2 : 50);
+    message: (event) => {
+      /* event has fields sensortagID, message */
+      if (typeof event.sensortagID != "string" || !/^[0-9a-f]{1,4}$/i.test(event.sensortagID)
+          || typeof event.message != "string") {
+        util.showMsg("error", "Bad SensorTag message received from the backend: " + JSON.stringify(event));
+        return;
+      }
+      let addr = ("0000" + event.sensortagID).slice(-4).toLowerCase();
+      if (!isPresent(addr)) {
+        util.showMsg("debug", "Message to " + addr + " not forwarded, as it isn't connected to this gateway.", addr);
+        return;
+      }
+      uart.uartWrite({addr: addr, str: event.message});
     }
-    else console.log(err);
   });
+  setInterval(pruneAddresses, Math.max(gateway.connectedAddressTimeout, 1000)).unref();
 }
 
 /**
- * @brief End the MQTT connection
+ * @brief Close the backend connection and exit the process
  * @param reason Reason for ending
  */
 end = comm.end = (reason) => {
-  mqclient.unsubscribe("commands");
-  mqclient.end(true, {reasonCode: 1, options: {reasonString: reason}}, process.exit);
+  if (!transport) process.exit();
+  transport.end(reason).then(() => process.exit(), () => process.exit());
 }
 
 module.exports = comm;
@@ -0,0 +1,118 @@
+/**
+ * @file commands.js
+ * @brief Registry of the console commands, their help and tab completion, and the console history
+ *
+ * A command is registered with
+ *    name      the command with the leading '.', e.g. ".ports"
+ *    args      names of the arguments shown in help. "<id>" is required, "[purge]" optional, and
+ *              "<message...>" takes the rest of the line
+ *    mode      "client", "server", "debug" or "simulator" if the command is only available then,
+ *              or undefined
+ *    help      description shown in '.help'
+ *    run       function (args, rest) running the command, where args are the words after the name
+ *              and rest is the line after the name
+ *    complete  optional function (args) returning the candidates for the last argument being typed
+ */
+const fs = require("fs");
+const gateway = require("../config");
+const util = require("./util");
+
+let commands = {};
+let registry = [];
+let historyError = false; // the error is shown only once
+
+/**
+ * @brief Add commands to the registry. They are listed in '.help' in the order they are added.
+ * @param list The commands, see above
+ */
+commands.register = (...list) => {
+  for (const command of list) registry.push(Object.assign({args: []}, command));
+}
+
+/**
+ * @brief The commands available in the current mode
+ * @return Array of registered commands
+ */
+commands.available = () => registry.filter(command => !command.mode
+  || (command.mode == "server" && gateway.isServer) || (command.mode == "client" && !gateway.isServer)
+  || (command.mode == "debug" && gateway.debugMode) || (command.mode == "simulator" && gateway.simulator.enabled));
+
+/**
+ * @brief Run a command typed in the console
+ * @param line The typed line starting with '.'
+ */
+commands.run = (line) => {
+  let [name, ...args] = line.trim().split(/\s+/);
+  let rest = line.trim().substring(name.length).trim();
+  let command = commands.available().find(c => c.name == name);
+  if (!command) {
+    let names = commands.available().map(c => c.name);
+    util.showMsg("info", "Unknown command '" + name + "'. Did you mean '" + util.closestMatch(name, names)
+      + "'? See '.help'.");
+    return;
+  }
+  let required = command.args.filter(arg => arg.startsWith("<")).length;
+  let rests = command.args.length && command.args[command.args.length - 1].endsWith("...>");
+  if (args.length < required || (!rests && args.length > command.args.length)) {
+    util.showMsg("info", "Usage: " + usage(command));
+    return;
+  }
+  command.run(args, rest);
+}
+
+/**
+ * @brief The list of the available commands for '.help'
+ * @return Multi-line string
+ */
+commands.help = () => {
+  let list = commands.available(), width = Math.max(...list.map(c => usage(c).length)) + 2;
+  return "Supported commands:\n" + list.map(c => "  " + usage(c).padEnd(width) + c.help).join("\n");
+}
+
+/**
+ * @brief Complete a line typed in the console
+ * @param line The line before the cursor
+ * @return [completions, the completed substring], see the completer of readline.createInterface
+ */
+commands.complete = (line) => {
+  if (line[0] != ".") return [[], line];
+  let words = line.split(/\s+/), last = words[words.length - 1];
+  if (words.length == 1) {
+    let names = commands.available().map(c => c.name).filter(name => name.startsWith(line));
+    return [names.length == 1 ? [names[0] + " "] : names, line];
+  }
+  let command = commands.available().find(c => c.name == words[0]);
+  if (!command || !command.complete) return [[], last];
+  let hits = command.complete(words.slice(1, -1)).map(String).filter(k => k.startsWith(last));
+  return [hits, last];
+}
+
+/**
+ * @brief Start tab completion, and keep the console history in gateway.history.file between runs
+ */
+commands.start = () => {
+  util.setCompleter(commands.complete);
+  util.rl.historySize = gateway.history.size;
+  if (!gateway.history.file) return;
+  try {
+    util.rl.history = fs.readFileSync(gateway.history.file, "utf8").split("\n").filter(line => line)
+      .slice(0, gateway.history.size);
+  } catch (e) {
+    if (e.code != "ENOENT") util.showMsg("error", "Could not read the console history: " + e.message);
+  }
+  util.rl.on("history", history => {
+    fs.writeFile(gateway.history.file, history.join("\n") + "\n", err => {
+      if (err && !historyError) util.showMsg("error", "Could not save the console history: " + err.message);
+      historyError = !!err;
+    });
+  });
+}
+
+/**
+ * @brief The name and the arguments of a command
+ */
+function usage(command) {
+  return [command.name].concat(command.args).join(" ");
+}
+
+module.exports = commands;
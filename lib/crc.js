@@ -0,0 +1,54 @@
+/**
+ * @file crc.js
+ * @brief Checksums of the UART messages
+ *
+ * A message can end in the checksum suffix ',crc:XXXX': four hex digits of the CRC-16/CCITT-FALSE
+ * (polynomial 0x1021, initial value 0xFFFF, not reflected) of the message before the suffix. The
+ * address the ServerTag prepends to a received frame isn't part of the checksummed message.
+ * This module doesn't depend on the configuration, so the settings can be checked with it.
+ */
+
+let crc = {};
+
+/**
+ * @brief The number of characters in the checksum suffix
+ */
+crc.tagLength = ",crc:0000".length;
+
+/**
+ * @brief Calculate the CRC-16/CCITT-FALSE of a message
+ * @param data Buffer of the message
+ * @return The checksum as a number
+ */
+crc.crc16 = (data) => {
+  let sum = 0xffff;
+  for (const byte of data) {
+    sum ^= byte << 8;
+    for (let i = 0; i < 8; i++)
+      sum = (sum & 0x8000 ? (sum << 1) ^ 0x1021 : sum << 1) & 0xffff;
+  }
+  return sum;
+}
+
+/**
+ * @brief The checksum suffix of a message
+ * @param data Buffer of the message
+ * @return String ",crc:XXXX" with lowercase hex digits, crc.tagLength characters long
+ */
+crc.tag = (data) => ",crc:" + ("000" + crc.crc16(data).toString(16)).slice(-4);
+
+/**
+ * @brief Verify and remove the checksum suffix of a received frame
+ * @param frame Buffer of the frame after escape decoding
+ * @param offset Number of bytes in the beginning that aren't checksummed, 2 for the address
+ * prepended by the ServerTag
+ * @return [frame, status]: the frame without the suffix, and "ok", "corrupt" or "missing"
+ */
+crc.check = (frame, offset = 0) => {
+  let m = frame.toString("latin1").match(/,crc:([0-9a-f]{4})\0*$/i);
+  if (!m) return [frame, "missing"];
+  let body = frame.subarray(0, m.index);
+  return [body, crc.crc16(body.subarray(offset)) == Number.parseInt(m[1], 16) ? "ok" : "corrupt"];
+}
+
+module.exports = crc;
@@ -0,0 +1,90 @@
+/**
+ * @file dashboard.js
+ * @brief Local web dashboard showing the live state of the gateway
+ *
+ * Serves the dashboard page over HTTP, and pushes the gateway state and the received and sent
+ * messages to the open pages over a WebSocket.
+ */
+const http = require("http");
+const fs = require("fs");
+const path = require("path");
+const WebSocket = require("ws");
+const gateway = require("../config");
+const util = require("./util");
+const uart = require("./uart");
+const sessions = require("./sessions");
+const outbox = require("./outbox");
+
+let dashboard = {};
+let wss = null;
+let feedTopics = ["recv", "send", "error"]; // showMsg topics shown in the live feed
+
+/**
+ * @brief Collect the current state of the gateway
+ * @return Object describing the serial connections, SensorTags, sessions and queues
+ */
+dashboard.state = () => {
+  let now = Date.now();
+  return {
+    time: new Date(now).toJSON(),
+    isServer: gateway.isServer,
+    serial: uart.devices().map(device => ({
+      path: device.path,
+      open: device.port.isOpen,
+      responded: device.responded
+    })),
+    // milliseconds since each address last sent something
+    connectedAddresses: Object.fromEntries(Object.entries(gateway.connectedAddresses).map(([k, v]) => [k, now - v])),
+    sessions: sessions.list(),
+    sessionMemory: sessions.memoryUsage(),
+    uartQueue: uart.queueLength(),
+    outbox: outbox.size()
+  };
+}
+
+/**
+ * @brief Send an object to all open dashboard pages
+ * @param obj The object, sent as JSON
+ */
+function broadcast(obj) {
+  if (!wss) return;
+  let str = JSON.stringify(obj);
+  for (const client of wss.clients)
+    if (client.readyState === WebSocket.OPEN) client.send(str);
+}
+
+/**
+ * @brief Start the dashboard HTTP and WebSocket server
+ */
+dashboard.start = () => {
+  let page = fs.readFileSync(path.join(__dirname, "dashboard.html"));
+  let server = http.createServer((req, res) => {
+    if (req.url == "/" || req.url == "/index.html") {
+      res.writeHead(200, {"Content-Type": "text/html; charset=utf-8"});
+      res.end(page);
+    } else if (req.url == "/state") {
+      res.writeHead(200, {"Content-Type": "application/json"});
+      res.end(JSON.stringify(dashboard.state()));
+    } else {
+      res.writeHead(404);
+      res.end();
+    }
+  });
+  wss = new WebSocket.Server({server: server});
+  // The WebSocket server emits also the errors of the HTTP server, e.g. EADDRINUSE when listening
+  wss.on("error", err => util.showMsg("error", "Dashboard error: " + (err.code == "EADDRINUSE"
+    ? "port " + gateway.dashboard.port + " is already in use. Change gateway.dashboard.port."
+    : err.message)));
+  wss.on("connection", ws => ws.send(JSON.stringify({type: "state", state: dashboard.state()})));
+
+  util.onMsg((topic, str) => {
+    if (feedTopics.includes(topic))
+      broadcast({type: "msg", topic: topic, time: new Date().toJSON(), str: str});
+  });
+  setInterval(() => broadcast({type: "state", state: dashboard.state()}), gateway.dashboard.interval);
+
+  server.listen(gateway.dashboard.port, gateway.dashboard.host, () =>
+    util.showMsg("info", "Dashboard running at http://" + gateway.dashboard.host + ":" + gateway.dashboard.port + "/"));
+}
+
+module.exports = dashboard;
@@ -0,0 +1,145 @@
+/**
+ * @file exporter.js
+ * @brief Saving of completed sensor data sessions to local files
+ *
+ * Each SensorTag has its own file in gateway.export.dir. In CSV format every row of every session
+ * is appended to <id>.csv, with the session start time in the first column. If the columns have
+ * changed since the file was started, e.g. after adding a data field, the old file is renamed to
+ * <id>.1.csv, <id>.2.csv and so on, and a new one is started. In JSON format every session is
+ * appended to <id>.jsonl as one JSON object per line.
+ * A streamed session is saved like the others: in CSV format the rows of each chunk are appended
+ * as they arrive, and in JSON format the chunks are collected and the session is written when the
+ * final chunk arrives.
+ */
+const fs = require("fs");
+const path = require("path");
+const gateway = require("../config");
+const util = require("./util");
+
+let exporter = {};
+let streams = {}; // JSON format: the columns of the streamed sessions by sessionId until the final chunk
+
+/**
+ * @brief Save a completed session to the file of its SensorTag
+ * @param entry Dictionary of the sensortagID and the session columns, see sessions.js
+ * @param started The session start time as a moment object
+ */
+exporter.saveSession = (entry, started) => {
+  if (write(entry, started))
+    util.showMsg("info", "Session from " + entry.sensortagID + " saved to " + fileOf(entry.sensortagID) + ".");
+}
+
+/**
+ * @brief Save a chunk of a streamed session, so the whole session is saved as one session
+ * @param entry Dictionary of the sensortagID and the columns of the chunk
+ * @param started The session start time as a moment object
+ * @param sessionId The identifier of the streamed session, see sessions.js
+ * @param final True for the last chunk of the session
+ */
+exporter.saveChunk = (entry, started, sessionId, final) => {
+  if (gateway.export.format == "csv") {
+    if (!write(entry, started)) return;
+  } else {
+    let record = streams[sessionId];
+    if (!record) record = streams[sessionId] = entry;
+    else for (const k of columnsOf(entry)) record[k] = record[k].concat(entry[k]);
+    if (!final) return;
+    delete streams[sessionId];
+    if (!write(record, started)) return;
+  }
+  if (final) util.showMsg("info", "Session from " + entry.sensortagID + " saved to " + fileOf(entry.sensortagID) + ".");
+}
+
+/**
+ * @brief Forget the collected chunks of a streamed session that was discarded
+ * @param sessionId The identifier of the streamed session
+ */
+exporter.discardChunks = (sessionId) => {
+  delete streams[sessionId];
+}
+
+/**
+ * @brief The export file of a SensorTag
+ */
+function fileOf(addr) {
+  return path.join(gateway.export.dir, addr + (gateway.export.format == "csv" ? ".csv" : ".jsonl"));
+}
+
+/**
+ * @brief The session columns of an entry
+ */
+function columnsOf(entry) {
+  return Object.keys(entry).filter(k => k != "sensortagID" && k != "sessionTimeStamp");
+}
+
+/**
+ * @brief Append the rows of a session to the file of its SensorTag
+ * @param entry Dictionary of the sensortagID and the session columns
+ * @param started The session start time as a moment object
+ * @return True if the rows were saved. An error is shown if not
+ */
+function write(entry, started) {
+  let columns = columnsOf(entry), file = fileOf(entry.sensortagID);
+  let str = "";
+  try {
+    fs.mkdirSync(gateway.export.dir, {recursive: true});
+    if (gateway.export.format == "csv") {
+      let header = ["session"].concat(columns).map(csvCell).join(",");
+      if (fs.existsSync(file) && fs.statSync(file).size && firstLine(file) != header) {
+        let old = moveAside(file);
+        util.showMsg("info", "The columns of " + file + " have changed. The old file was renamed to " + old + ".");
+      }
+      if (!fs.existsSync(file) || !fs.statSync(file).size) str += header + "\n";
+      for (let i = 0; i < entry.timeStamp.length; i++)
+        str += [started.toJSON()].concat(columns.map(k => entry[k][i])).map(csvCell).join(",") + "\n";
+    } else {
+      str = JSON.stringify(Object.assign({sensortagID: entry.sensortagID, sessionTimeStamp: started.toJSON()},
+        ...columns.map(k => ({[k]: entry[k]})))) + "\n";
+    }
+    fs.appendFileSync(file, str);
+  } catch (e) {
+    util.showMsg("error", "Could not save the session to " + file + ": " + e.message);
+    return false;
+  }
+  return true;
+}
+
+/**
+ * @brief Format a value as a CSV cell as in RFC 4180. A cell containing a comma, a double quote or
+ * a line break is quoted, and its double quotes are doubled.
+ * @param value The value, null or undefined for an empty cell
+ * @return The cell as a string
+ */
+function csvCell(value) {
+  let str = value == null ? "" : String(value);
+  return /[",\r\n]/.test(str) ? '"' + str.replace(/"/g, '""') + '"' : str;
+}
+
+/**
+ * @brief Read the first line of a file
+ * @param file Path of the file
+ * @return The line without the line break
+ */
+function firstLine(file) {
+  let buffer = Buffer.alloc(65536), fd = fs.openSync(file, "r");
+  try {
+    let length = fs.readSync(fd, buffer, 0, buffer.length, 0);
+    return buffer.toString("utf8", 0, length).split("\n")[0].replace(/\r$/, "");
+  } finally {
+    fs.closeSync(fd);
+  }
+}
+
+/**
+ * @brief Rename a file to the first free name <name>.<n><extension>
+ * @param file Path of the file
+ * @return The new path
+ */
+function moveAside(file) {
+  let ext = path.extname(file), base = file.slice(0, -ext.length), old;
+  for (let n = 1; fs.existsSync(old = base + "." + n + ext); n++);
+  fs.renameSync(file, old);
+  return old;
+}
+
+module.exports = exporter;
@@ -0,0 +1,45 @@
+/**
+ * @file framing.js
+ * @brief Framing of the UART messages in both directions
+ *
+ * In server mode the ServerTag ends its frames with the byte 0xF2, and escapes the bytes 0xF0, 0xF1
+ * and 0xF2 inside a frame as described in util.decodeEscapedBuffer. The gateway escapes the frames
+ * it sends the same way, so any bytes, also in the address, can be sent without breaking the
+ * framing. The frames sent to the ServerTag are gateway.uart.txlength bytes long and padded with
+ * zeros after the escaped content, which always ends in at least one zero.
+ * In client mode the frames are not escaped. The checksums of the frames are in crc.js.
+ */
+const gateway = require("../config");
+const util = require("./util");
+
+let framing = {};
+
+/**
+ * @brief Remove the escaping of a received frame
+ * @param frame Buffer received from UART, without the delimiter
+ * @return Buffer of the original bytes
+ */
+framing.decode = (frame) => gateway.isServer ? util.decodeEscapedBuffer(frame) : frame;
+
+/**
+ * @brief Escape the content of a frame. framing.decode restores the original bytes.
+ * @param data Buffer of any bytes
+ * @return Buffer without the delimiter byte of the server mode
+ */
+framing.encode = (data) => gateway.isServer ? util.encodeEscapedBuffer(data) : data;
+
+/**
+ * @brief Form a frame to send over UART
+ * @param head Buffer of the bytes before the text: the address in server mode, or empty
+ * @param str The text, written one byte per character
+ * @return Buffer of gateway.uart.txlength bytes, or undefined if the escaped content doesn't fit
+ */
+framing.frame = (head, str) => {
+  let frame = Buffer.alloc(gateway.uart.txlength);
+  let content = framing.encode(Buffer.concat([head, Buffer.from(str, "latin1")]));
+  if (content.length > frame.length - 1) return; // always ends in \0
+  content.copy(frame);
+  return frame;
+}
+
+module.exports = framing;
@@ -0,0 +1,78 @@
+/**
+ * @file logger.js
+ * @brief Log file of the messages shown with util.showMsg
+ *
+ * Every message is written with its time, level and the SensorTag address it concerns, also when
+ * it is not shown in the console. In plain format a line is
+ *    2026-10-19T10:15:02.123Z INFO  [0123] Session from 0123 ended, sending 40 rows of data.
+ * and in JSON format {"time": ..., "level": "info", "addr": "0123", "msg": ...}. When the file grows
+ * over gateway.log.maxSize bytes it is renamed with the suffix .1, older files get the next
+ * suffixes, and at most gateway.log.keep old files are kept.
+ */
+const fs = require("fs");
+const path = require("path");
+const gateway = require("../config");
+const util = require("./util");
+const pkg = require("../package.json");
+
+let logger = {};
+let size = 0; // size of the current log file in bytes
+
+const levels = ["error", "info", "debug"];
+const topicLevels = {error: "error", info: "info", recv: "info", send: "info", debug: "debug"};
+
+/**
+ * @brief Start writing the messages into the log file
+ */
+logger.start = () => {
+  try {
+    fs.mkdirSync(path.dirname(gateway.log.file), {recursive: true});
+    size = fs.existsSync(gateway.log.file) ? fs.statSync(gateway.log.file).size : 0;
+  } catch (e) {
+    util.showMsg("error", "Could not open the log file " + gateway.log.file + ": " + e.message);
+    return;
+  }
+  util.onMsg(write);
+  write("info", "Log started: " + pkg.name + " " + pkg.version + " in "
+    + (gateway.isServer ? "server" : "client") + " mode.");
+}
+
+/**
+ * @brief Write a message into the log file
+ * @param topic The topic given to showMsg
+ * @param str The message
+ * @param addr The SensorTag address the message concerns, or undefined
+ */
+function write(topic, str, addr) {
+  let level = topicLevels[topic] || "info";
+  if (levels.indexOf(level) > levels.indexOf(gateway.log.level)) return;
+  let time = new Date().toJSON(), msg = String(str).replace(/\x1b\[[0-9;]*[A-Za-z]/g, "").trim()
+    .replace(/^\d\d:\d\d:\d\d /, ""); // the time shown in the console is in the timestamp
+  let line = gateway.log.format == "json" ?
+    JSON.stringify({time: time, level: level, topic: topic, addr: addr || null, msg: msg}) :
+    time + " " + level.toUpperCase().padEnd(5) + (addr ? " [" + addr + "]" : "") + " "
+      + msg.replace(/\n/g, "\n    "); // indent the continuation lines
+  line += "\n";
+  try {
+    if (size > 0 && size + Buffer.byteLength(line) > gateway.log.maxSize) rotate();
+    fs.appendFileSync(gateway.log.file, line);
+    size += Buffer.byteLength(line);
+  } catch (e) {
+    // showMsg would call this function again, so print only to the console
+    console.error("Could not write to the log file " + gateway.log.file + ": " + e.message);
+  }
+}
+
+/**
+ * @brief Rename the full log file and the older files, removing the oldest
+ */
+function rotate() {
+  for (let k = gateway.log.keep; k >= 1; k--) { // the oldest file is overwritten
+    let from = gateway.log.file + (k > 1 ? "." + (k - 1) : "");
+    if (fs.existsSync(from)) fs.renameSync(from, gateway.log.file + "." + k);
+  }
+  if (gateway.log.keep == 0) fs.rmSync(gateway.log.file, {force: true});
+  size = 0;
+}
+
+module.exports = logger;
@@ -0,0 +1,125 @@
+/**
+ * @file outbox.js
+ * @brief On-disk spool for backend messages produced while the backend connection is down
+ *
+ * Every spooled message is appended to the outbox file as one JSON line [topic, msg], so the
+ * backlog survives gateway restarts. The spool is drained in order once the connection is back.
+ */
+const fs = require("fs");
+const gateway = require("../config");
+const util = require("./util");
+
+let outbox = {};
+let spool = []; // [topic, msg] pairs in the order they were sent
+let draining = false;
+
+/**
+ * @brief Read the messages left in the outbox file by a previous run
+ */
+function load() {
+  let lines;
+  try {
+    lines = fs.readFileSync(gateway.outbox.file, "utf8").split("\n");
+  } catch (e) {
+    if (e.code != "ENOENT") util.showMsg("error", "Could not read the outbox file: " + e.message);
+    return;
+  }
+  for (const line of lines) {
+    if (line.trim() == "") continue;
+    try {
+      spool.push(JSON.parse(line));
+    } catch (e) {
+      util.showMsg("error", "Skipped a corrupted line in the outbox file: " + line);
+    }
+  }
+}
+
+/**
+ * @brief Rewrite the outbox file to match the messages in the spool
+ */
+function save() {
+  try {
+    if (spool.length == 0) {
+      if (fs.existsSync(gateway.outbox.file)) fs.unlinkSync(gateway.outbox.file);
+    } else {
+      fs.writeFileSync(gateway.outbox.file, spool.map(k => JSON.stringify(k) + "\n").join(""));
+    }
+  } catch (e) {
+    util.showMsg("error", "Could not write the outbox file: " + e.message);
+  }
+}
+
+/**
+ * @brief Add a message to the end of the outbox
+ * @param topic The backend topic of the message
+ * @param msg Object representing the message
+ */
+outbox.push = (topic, msg) => {
+  spool.push([topic, msg]);
+  try {
+    fs.appendFileSync(gateway.outbox.file, JSON.stringify([topic, msg]) + "\n");
+  } catch (e) {
+    util.showMsg("error", "Could not write the outbox file: " + e.message);
+  }
+}
+
+/**
+ * @brief Send the spooled messages one at a time in order, each after the previous one was
+ * accepted. The first message that can't be sent stays in the outbox with all after it. Messages
+ * pushed during the drain are sent after the older ones.
+ * @param emit Function (topic, msg) that sends a single message to the backend and returns a
+ * Promise rejecting if it was not sent
+ * @return Promise resolving with the number of messages sent, 0 if a drain is already running
+ */
+outbox.drain = async (emit) => {
+  if (draining) return 0;
+  let n = 0;
+  draining = true;
+  try {
+    while (spool.length) {
+      let item = spool[0];
+      try {
+        await emit(item[0], item[1]);
+      } catch (e) {
+        break;
+      }
+      if (spool[0] === item) spool.shift(); // unless the outbox was purged meanwhile
+      n++;
+    }
+  } finally {
+    draining = false;
+    save();
+  }
+  return n;
+}
+
+/**
+ * @brief Check if the outbox is being sent, so new messages have to wait behind it
+ */
+outbox.draining = () => draining;
+
+/**
+ * @brief Remove all messages from the outbox without sending them
+ * @return The number of messages removed
+ */
+outbox.purge = () => {
+  let n = spool.length;
+  spool = [];
+  save();
+  return n;
+}
+
+/**
+ * @brief Number of messages waiting in the outbox
+ */
+outbox.size = () => spool.length;
+
+/**
+ * @brief List the spooled messages
+ * @return Array of [topic, msg] pairs, oldest first
+ */
+outbox.list = () => spool.slice();
+
+load();
+
+module.exports = outbox;
@@ -2,6 +2,10 @@
  * @file portFinder.js
  * @brief Module for finding serial ports in the gateway program
  * @author Vili Pelttari
+ *
+ * A port is accepted automatically when it matches one of gateway.ports.filters by its USB vendor
+ * ID, product ID, serial number and interface number. Ports can also be pinned, so that they are
+ * connected to even if they don't match, or forgotten, so that they aren't connected to at all.
  */
 
 const gateway = require("../config");
@@ -19,10 +23,30 @@ module.exports = {
 
   /**
   * @brief Start finding new ports
-  * @param cb Callback function that will be called with an open serial port
+  * @param inUse Paths of the ports that are already connected. When given, the search runs in
+  * the background without the port menu
+  * @return Promise resolving with the path of the port to connect to
   */
   findPorts: findPorts,
 
+  /**
+  * @brief List the serial ports now
+  * @return Promise resolving with an array of {path, pnpId, manufacturer, vendorId, productId,
+  * serialNumber, interface, matches, tries}, sorted by path
+  */
+  list: function() {
+    return SerialPort.list().then(ports => {
+      track(ports);
+      return [...all.values()].sort((a, b) => a.path.localeCompare(b.path));
+    });
+  },
+
+  /**
+  * @brief Describe a port for the console
+  * @param port A port given by list
+  */
+  describe: describe,
+
   /**
   * @brief Clear the device blacklist to allow blacklisted devices to be discovered
   */
@@ -31,93 +55,178 @@ module.exports = {
   },
 
   /**
-  * @brief Increment the port when there are multiple automatically accepted devices
+  * @brief Count a failed connection to an automatically accepted port, so that another port is
+  * tried next when there are multiple
+  * @param path The path of the port
+  */
+  nextPort: function(path) {
+    let port = ok.find(p => p.path == path);
+    if (port)
+      blacklist[id(port)] += 1;
+  },
+
+  /**
+  * @brief Pin a port, so that it is connected to and reconnected to whether it matches or not
+  * @param path The path of the port
+  */
+  pin: function(path) {
+    forgotten.delete(path);
+    pinned.add(path);
+  },
+
+  /**
+  * @brief Forget a port, so that it isn't connected to until it is pinned again
+  * @param path The path of the port
+  */
+  forget: function(path) {
+    pinned.delete(path);
+    forgotten.add(path);
+  },
+
+  /**
+  * @brief The paths of the pinned ports
+  */
+  pinned: function() {
+    return [...pinned];
+  },
+
+  /**
+  * @brief Check if a port has been forgotten
+  * @param path The path of the port
   */
-  nextPort: function() {
-    let m = n - 1;
-    if (m < 0)
-      m += ok.length;
-    if (ok.length)
-      blacklist[ok[m][1]] += 1;
+  isForgotten: function(path) {
+    return forgotten.has(path);
   },
 };
 
 let
-  consoleHandler = null;
-  count = 0;
-  n = 0;
-  ok = [];
-  all = {};
-  blacklist = {};
+  consoleHandler = null,
+  stopped = false,
+  n = 0,
+  ok = [],
+  all = new Map(), // the present ports by path
+  blacklist = {},
+  inUse = [],
+  quiet = false,
+  pinned = new Set(),
+  forgotten = new Set(),
+  listError = "";
+
+/**
+ * @brief Identify a device for the blacklist, also when it is plugged into another port
+ */
+function id(port) {
+  return port.pnpId || port.path;
+}
+
+/**
+ * @brief Read the USB identifiers of a listed port. The vendor and product IDs are read from the
+ * pnpId when the listing doesn't have them, as with some Windows drivers.
+ * @param port A port from SerialPort.list()
+ * @return Dictionary with path, pnpId, manufacturer, vendorId, productId, serialNumber and interface
+ */
+function identify(port) {
+  let pnpId = port.pnpId || "";
+  let hex = (re) => (pnpId.match(re) || [])[1];
+  let iface = pnpId.match(/-if([0-9a-f]{2})\b|MI_([0-9a-f]{2})/i); // Linux and Windows
+  return {
+    path: port.path,
+    pnpId: port.pnpId,
+    manufacturer: port.manufacturer,
+    vendorId: (port.vendorId || hex(/VID_([0-9a-f]{4})/i) || "").toLowerCase() || undefined,
+    productId: (port.productId || hex(/PID_([0-9a-f]{4})/i) || "").toLowerCase() || undefined,
+    serialNumber: port.serialNumber,
+    interface: iface ? Number.parseInt(iface[1] || iface[2], 16) : undefined
+  };
+}
+
+/**
+ * @brief Check if a port matches one of gateway.ports.filters. Every field given in a filter has
+ * to match, and IDs are compared without case.
+ * @param port A port given by identify
+ */
+function matches(port) {
+  let same = (a, b) => a != undefined && String(a).toLowerCase() == String(b).toLowerCase();
+  return gateway.ports.filters.some(filter =>
+    ["vendorId", "productId", "serialNumber", "interface"].every(k => !(k in filter) || same(port[k], filter[k])));
+}
+
+/**
+ * @brief Update the present ports with a new listing
+ * @param ports The ports from SerialPort.list()
+ * @return True if some port was added or removed. Else false
+ */
+function track(ports) {
+  let changes = false, paths = new Set(ports.map(port => port.path));
+  for (const path of all.keys()) { // remove disconnected ports
+    if (paths.has(path)) continue;
+    all.delete(path);
+    changes = true;
+  }
+  for (const port of ports) {
+    if (all.has(port.path)) continue;
+    let info = identify(port);
+    info.matches = matches(info);
+    all.set(port.path, info);
+    changes = true;
+  }
+  for (const port of all.values()) port.tries = blacklist[id(port)] || 0;
+  return changes;
+}
 
 /**
  * @brief Find new serial devices and connect to them automatically if they are SensorTags
  * @return Promise resolve when a suitable SensorTag has been found, with the port path
  */
 function listPorts() {
-  process.stdout.write("\033[u\033[0J");
-  let update = false;
-  let finds = 0, oldfinds = 0; // XXX good up to 53 devices
+  if (!quiet) process.stdout.write("\033[u\033[0J");
   return new Promise(resolve =>{
     let portlister = setInterval(async () => {
-      if (count == -1) { clearInterval(portlister); return; }
+      if (stopped) { clearInterval(portlister); return; }
       // list ports
-      await SerialPort.list().then(ports => {
-        ports.forEach(port => {
-          if (!(port.path in all)) {
-            update = true;
-            all[port.path] = port.pnpId;
-            count++;
-          }
-          finds |= 1<<(Object.keys(all).indexOf(port.path));
-        });
+      let ports = await SerialPort.list().catch(err => {
+        if (err.message != listError) util.showMsg("error", "Could not list the serial ports: " + err.message);
+        listError = err.message;
+        return null;
       });
-      // remove disconnected ports
-      update |= removeOld((finds^oldfinds)&oldfinds); // bit operation for finding bits that are only 'on' in oldfinds
-      if (update) dispPorts();
-      update = false;
-      oldfinds = finds;
-      finds = 0;
+      if (ports == null || stopped) return;
+      listError = "";
+      if (track(ports) && !quiet) dispPorts();
       // automatically find ok ports
-      for (const port of Object.entries(all)) {
-        // XXX modify this regex if autodetect doesn't work (should work on Windows and Linux)
-        if (/Texas.*if00$|USB\\VID_0451.*0000$/i.test(port[1]) && ok.findIndex(p => p[1]==port[1]) == -1) {
-          ok.push([port[0], port[1]]);
-          if (!(port[1] in blacklist)) blacklist[port[1]] = 0; // add to blacklist with 0
+      for (const port of all.values()) {
+        if (port.matches && ok.findIndex(p => id(p) == id(port)) == -1 && !inUse.includes(port.path)
+            && !forgotten.has(port.path)) {
+          ok.push(port);
+          if (!(id(port) in blacklist)) blacklist[id(port)] = 0; // add to blacklist with 0
         }
       }
+      ok = ok.filter(port => all.has(port.path)); // unplugged ports can't be tried
       // try a different port if the other one didn't respond correctly before
       if (gateway.ports.autofind && ok.length) {
-        ok.sort();
+        ok.sort((a, b) => a.path.localeCompare(b.path));
         n %= ok.length;
-        if (blacklist[ok[n][1]] > gateway.ports.maxTries) { // stop spamming a port after maxTries tries
+        if (blacklist[id(ok[n])] > gateway.ports.maxTries) { // stop spamming a port after maxTries tries
           n++;
           return;
         }
         clearInterval(portlister);
-        resolve(ok[n++][0]);
-      } else if (!gateway.ports.autofind && count > 0) clearInterval(portlister); // stop port finding if port was selected
+        resolve(ok[n++].path);
+      } else if (!gateway.ports.autofind && all.size > 0) clearInterval(portlister); // stop port finding if port was selected
     }, 1000); // look for new ports every second
   });
 }
 
 /**
- * @brief Remove disconnected ports
- * @param n Number with 'on' bits in positions corresponding to removed devices
- * @return True if some port was removed. Else false
+ * @brief Describe a port for the console: its USB identifiers and the manufacturer
+ * @param port A port given by identify
  */
-function removeOld(n) {
-  let p = 1, changes = false;
-  let keys = Object.keys(all);
-  for (let i = 0; i < 30; i++) {
-    if (n&p && keys[i] != undefined) {
-      changes = true;
-      count--;
-      delete(all[keys[i]]);
-    }
-    p <<= 1;
-  }
-  return changes;
+function describe(port) {
+  let ids = [];
+  if (port.vendorId) ids.push(port.vendorId + ":" + (port.productId || "????"));
+  if (port.serialNumber) ids.push("serial " + port.serialNumber);
+  if (port.interface != undefined) ids.push("interface " + port.interface);
+  if (port.manufacturer) ids.push(port.manufacturer);
+  return ids.length ? ids.join(", ") : (port.pnpId || "");
 }
 
 /**
@@ -126,9 +235,10 @@ function removeOld(n) {
 function dispPorts() {
   process.stdout.write("\033[u\033[J"); // see console_codes(4). Restore cursor location and erase display down
   let i = 0, color;
-  for (const port of Object.entries(all)) {
-    color = (port[1] in blacklist && blacklist[port[1]] > 3 ? "\033[31m" : "\033[32m");
-    process.stdout.write(color + String(i+1) + "\033[0m:\033[33m " + port[0] + "\033[0m " + port[1] + "\n");
+  for (const port of all.values()) {
+    color = (blacklist[id(port)] > gateway.ports.maxTries || forgotten.has(port.path) ? "\033[31m"
+      : port.matches ? "\033[32m" : "\033[0m");
+    process.stdout.write(color + String(i+1) + "\033[0m:\033[33m " + port.path + "\033[0m " + describe(port) + "\n");
     i++;
   }
   process.stdout.write("Choose port number: ");
@@ -143,13 +253,13 @@ function checkInput(line) {
   return new Promise((resolve, reject) => {
     if (isNaN(line=Number(line).toFixed(0))) {
       process.stdout.write("\033[KThe input should be a number.\033[1A\033[21G\033[K");
-    } else if (line < 1 || line > Object.keys(all).length) {
+    } else if (line < 1 || line > all.size) {
       process.stdout.write("\033[KPlease choose one of the numbers above.\033[1A\033[21G\033[K");
     } else {
-      count = -1;
-      let key = Object.keys(all)[line-1];
-      if (!(all.key in blacklist)) blacklist[all.key] = 0; // add to blacklist with 0
-      resolve(key);
+      stopped = true;
+      let port = [...all.values()][line-1];
+      if (!(id(port) in blacklist)) blacklist[id(port)] = 0; // add to blacklist with 0
+      resolve(port.path);
     }
     reject();
   });
@@ -167,24 +277,35 @@ function portUIInput() {
 }
 
 /**
- * @brief The main function for selecting a serial device. Has has its own rl.on('line') handlers.
+ * @brief The main function for selecting a serial device. Has has its own rl.on('line') handlers,
+ * unless other devices are already connected.
+ * @param connected Paths of the ports that are already connected
  * @return Promise resolve with path of port to connect to
  */
-async function findPorts() {
+async function findPorts(connected = []) {
   let path = "", start = true;
-  count = 0;
+  stopped = false;
   ok = [];
-  all = {};
+  all = new Map();
+  inUse = connected;
+  quiet = connected.length > 0; // the console is in use, so only automatic selection is possible
   return new Promise(async (resolve, reject) => {
+    if (quiet) {
+      path = await listPorts();
+      util.showMsg("info", `SensorTag automatically found. Connecting to ${path}.`);
+      resolve(path);
+      return;
+    }
     // Wait for one port selection method to complete
     let input = portUIInput();
     let list = listPorts();
     util.showMsg("info", "Discovering serial devices...");
     path = await Promise.race([input, list]); // wait for a Promise to resolve
-    if (count != -1) {
+    if (!stopped) {
       util.showMsg("info", ""); // new line
       util.showMsg("info", "SensorTag automatically found.");
     }
+    stopped = true;
     util.showMsg("info", `Connecting to ${path}.`);
     util.rl.removeAllListeners(["line"]);
     util.rl.on("line", consoleHandler);
@@ -1,22 +1,53 @@
 const uart = require("./uart");
 const gateway = require("../config");
 const util = require("./util");
-const moment = require("moment");
+const binary = require("./binary");
+const framing = require("./framing");
+const crc = require("./crc");
+const sessions = require("./sessions");
+const tags = require("./tags");
 let reader = {};
+let integrity = {}; // checksum results of the received frames by sender: {ok, corrupt, missing}
+let frameListeners = []; // functions that are given every received text message, see reader.onFrame
 
-let sessionData = {}; // sensor data is split into sessions, stored here
 /**
  * @brief Read key-value pairs from received SensorTag message
  * @param data The SensorTag message: Buffer.from("id:XXXX,data1:CCCCCCCC,...") or in server use,
  * the id is given as two LE bytes in the beginning: Buffer.from("abdata1:CCCCCC,...") where ab is
- * the address id:6261.
+ * the address id:6261. Binary sensor data frames described in binary.js are also accepted.
+ * @param device The device state of the serial port the message came from, see uart.attach.
+ * Undefined for messages that didn't come from a serial port
  * @return Promise resolves with a list of dictionaries for each topic to be sent to backend. Rejects
  * with error messages
  */
-unwrap = reader.unwrap = (data) => {
+unwrap = reader.unwrap = (data, device) => {
   // Decode data from escape characters
-  data = util.decodeEscapedBuffer(data);
+  data = framing.decode(data);
   return new Promise((resolve, reject) => {
+    // The internal messages of the ServerTag aren't from a SensorTag
+    let internal = gateway.isServer && (data.length < 2 || data.readUInt16LE() == 0xfefe);
+    let from = internal ? undefined : sender(data);
+    if (from && from != "unknown") tags.received(from);
+    // Verify and remove the checksum
+    if (gateway.crc.uplink != "off" && !internal) {
+      let status;
+      [data, status] = crc.check(data, gateway.isServer ? 2 : 0);
+      if (!integrity[from]) integrity[from] = {ok: 0, corrupt: 0, missing: 0};
+      integrity[from][status]++;
+      if (status == "corrupt") {
+        countError(from, "checksum");
+        reject("Error: Checksum mismatch in a frame from " + from + ". The frame was discarded.");
+        return;
+      } else if (status == "missing" && gateway.crc.uplink == "required") {
+        countError(from, "no checksum");
+        reject("Error: A frame from " + from + " has no checksum. The frame was discarded.");
+        return;
+      }
+    }
+    if (binary.isBinary(data, gateway.isServer)) {
+      unwrapBinary(data, device, from).then(resolve, reject);
+      return;
+    }
     data = readDataToString(data);
     prefix = data[0]
     data = data[1]
@@ -24,32 +55,36 @@ unwrap = reader.unwrap = (data) => {
     // Handle constant internal messaging
     if (data == "id:fefe,\x01HB") {
       let now = Date.now();
-      if (gateway.heartbeatInterval*1.5 < now - uart.hbTime)
-        util.showMsg("info", "Heartbeat: ServerTag reconnected.");
-      uart.hbTime = now;
+      if (device && gateway.heartbeatInterval*1.5 < now - device.hbTime)
+        util.showMsg("info", "Heartbeat: ServerTag reconnected" + (uart.devices().length > 1 ? " on " + device.path : "") + ".");
+      if (device) device.hbTime = now;
       resolve({});
       return;
     }
 
+    for (const listener of frameListeners) listener(from, gateway.isServer ? data.slice(8) : data);
+
     // Display the data buffer with visible escape sequences for characters and no utf8 errors
     if (!gateway.isServer) {
+      let sender = (data.match(/^id:([0-9a-f]{1,4})(,|$)/i) || [])[1]; // for the log file
       if (data[0] === "|") {
         util.showMsg("recv", data);
         return;
       } else {
-        util.showMsg("recv", new Date().toTimeString().split(" ")[0] + "> " + JSON.stringify(data).slice(1, -1));
+        util.showMsg("recv", new Date().toTimeString().split(" ")[0] + "> " + JSON.stringify(data).slice(1, -1), sender);
       }
     } else {
       if (data[8] === "|") {
-        util.showMsg("recv", data.slice(9));
+        util.showMsg("recv", data.slice(9), prefix);
         return;
       } else {
-        util.showMsg("recv", new Date().toTimeString().split(" ")[0] + " " + prefix + "> " + JSON.stringify(data).slice(9, -1)); // slice off id:XXXX
+        util.showMsg("recv", new Date().toTimeString().split(" ")[0] + " " + prefix + "> " + JSON.stringify(data).slice(9, -1), prefix); // slice off id:XXXX
       }
     }
 
-    readDataTokens(data).then(([addr, sends, resultDicts]) => {
+    readDataTokens(data, from).then(([addr, sends, resultDicts]) => {
       gateway.connectedAddresses[addr] = Date.now(); // Save the time when this address sent something, for replies
+      if (device) uart.seen(addr, device.path); // and the port, so that the replies are sent there
 
       // Add together values from multiple commands, and output a single value
       if (resultDicts.tamaActions) {
@@ -62,58 +97,39 @@ unwrap = reader.unwrap = (data) => {
       if (resultDicts.commands && resultDicts.commands.session == true) {
         // Session start logic. Allow resetting the session buffer while a session is being
         // recorded.
-        sessionData[addr] = makeDataEntry(addr);
+        sessions.start(addr);
       }
 
-      // Add sensordata to the sessionData
+      // Add sensordata to the session
       if (resultDicts["sensordata"]) {
-        if (!(addr in sessionData)) {
-          reject("Error: Sensor data received while no session has been started.");
+        let err = sessions.addRow(addr, resultDicts.sensordata);
+        if (err) {
+          countError(addr, "session");
+          reject(err);
           return;
         }
-        // if the sessionData for this addr is too large, abort adding more rows
-        if (sessionData[addr].timeStamp.length >= gateway.maxSessionRows) {
-          reject("Error: Sensor data session is full (" + gateway.maxSessionRows + " rows).");
-          return;
-        }
-        // it is in sessionData, so we push each sensor into it
-        for (label in sessionData[addr]) {
-          if (label == "sensortagID") continue;
-          if (label == "sessionTimeStamp") continue;
-          if (label == "timeStamp" && !(label in resultDicts.sensordata)) {
-            sessionData[addr].timeStamp.push(moment().utc().diff(sessionData[addr].sessionTimeStamp));
-            continue;
-          }
-          if (label in resultDicts.sensordata) // fill sensor data into the session buffer
-            sessionData[addr][label].push(resultDicts.sensordata[label]);
-          else
-            sessionData[addr][label].push(null);
-        }
       }
 
       // Reply to ping with pong before the session end is handled:
       // This allows spamming session commands over an unstable connection, and definitely knowing
       // that the command went through
       if (resultDicts.commands && resultDicts.commands.ping) { // Ping can likely be used as a confirmation of correct message
-        uartWrite({addr: addr, str: resultDicts.commands.ping});
+        uartWrite({addr: addr, str: resultDicts.commands.ping, reliable: false, priority: "reply"});
+        tags.count(addr, "pongs");
+      }
+
+      // Acknowledgement of a message sent with reliable delivery
+      if (resultDicts.commands && resultDicts.commands.ack != undefined) {
+        if (!uart.acknowledge(addr, resultDicts.commands.ack))
+          util.showMsg("debug", "Unexpected acknowledgement " + resultDicts.commands.ack + " from " + addr + ".");
       }
 
       // Session end
       if (resultDicts.commands && resultDicts.commands.session == false) {
-        // Session end logic
-        // Check if active session exists
-        if (addr in sessionData) {
-          if (sessionData[addr].timeStamp.length == 0) { // Don't send an empty session
-            //delete sessionData[addr]; // Remove empty session
-            reject("Error: The session was empty. It will not be sent.");
-            return;
-          }
-          delete sessionData[addr].sessionTimeStamp;
-          util.showMsg("info", "Session from " + addr + " ended, sending " + sessionData[addr].ax.length + " rows of data.")
-          comm.send("sensordata", sessionData[addr]);
-          delete sessionData[addr]; // erase data after send
-        } else {
-          reject("Error: No session was started. Session data send prevented.");
+        let err = sessions.end(addr);
+        if (err) {
+          countError(addr, "session");
+          reject(err);
           return;
         }
       }
@@ -125,6 +141,84 @@ unwrap = reader.unwrap = (data) => {
   });
 }
 
+/**
+ * @brief Register a function that is called with every text message received from a SensorTag
+ * @param listener Function with the arguments (addr, str), where addr is the sender address or
+ * "unknown", and str is the message. In server mode str doesn't have the 'id:XXXX,' of the sender
+ */
+onFrame = reader.onFrame = (listener) => {
+  frameListeners.push(listener);
+}
+
+/**
+ * @brief The checksum results of the received frames
+ * @return Dictionary from the sender address to {ok, corrupt, missing} frame counts
+ */
+crcStats = reader.crcStats = () => JSON.parse(JSON.stringify(integrity));
+
+/**
+ * @brief Describe the checksum results of the received frames for the console
+ */
+crcStatus = reader.crcStatus = () => {
+  let addrs = Object.keys(integrity).sort();
+  return "Checksums of the received frames: uplink " + gateway.crc.uplink
+    + ", downlink " + (gateway.crc.downlink ? "on" : "off") + "."
+    + (addrs.length ? "" : "\n  No frames checked.")
+    + addrs.map(addr => "\n  " + (addr == "unknown" ? addr : "0x" + addr) + " " + integrity[addr].ok + " ok, "
+      + integrity[addr].corrupt + " corrupt, " + integrity[addr].missing + " without a checksum").join("");
+}
+
+/**
+ * @brief Count a frame that could not be read in the statistics of its sender
+ * @param addr The sender address, or "unknown"
+ * @param kind The kind of the error, see tags.error
+ */
+function countError(addr, kind) {
+  if (addr && addr != "unknown") tags.error(addr, kind);
+}
+
+/**
+ * @brief Find the sender of a frame before it is read, for the statistics and the checksum counts
+ * @param data The escape decoded Buffer received from UART
+ * @return The address as four hex characters, or "unknown" when a client mode frame has no ID
+ */
+function sender(data) {
+  if (gateway.isServer) return ("0000" + data.readUInt16LE().toString(16)).slice(-4);
+  if (binary.isBinary(data, false) && data.length >= 3) return ("0000" + data.readUInt16LE(1).toString(16)).slice(-4);
+  let id = data.toString("latin1").match(/^id:([0-9a-f]{1,4})(,|$)/i);
+  return id ? ("0000" + id[1]).slice(-4).toLowerCase() : "unknown";
+}
+
+/**
+ * @brief Read a binary sensor data frame and add its row to the session of the sender
+ * @param data The escape decoded Buffer received from UART
+ * @param device The device state of the serial port, or undefined
+ * @param from The sender address found before reading, see sender
+ * @return Promise resolving with an empty dictionary, as there is nothing to send right away.
+ * Rejects with error messages
+ */
+function unwrapBinary(data, device, from) {
+  return new Promise((resolve, reject) => {
+    let addr, row;
+    try {
+      [addr, row] = binary.decode(data, gateway.isServer);
+    } catch (str) {
+      countError(from, "binary frame");
+      reject(str);
+      return;
+    }
+    util.showMsg("recv", new Date().toTimeString().split(" ")[0] + (gateway.isServer ? " " + addr : "")
+      + "> [binary: " + Object.entries(row).map(([k, v]) => k + ":" + v).join(",") + "]", addr);
+    gateway.connectedAddresses[addr] = Date.now();
+    if (device) uart.seen(addr, device.path);
+    let err = sessions.addRow(addr, row);
+    if (err) {
+      countError(addr, "session");
+      reject(err);
+    } else resolve({});
+  });
+}
+
 /**
  * @brief Convert the Buffer to a String, including a key-value for the id if in server use
  * @param data Buffer received from UART. In server use, the first two bytes will be the sender
@@ -141,25 +235,81 @@ function readDataToString(data) {
   return [addr, "id:" + addr + "," + data.slice(2).toString('binary')];
 }
 
+/**
+ * @brief Split a received message into its key-value pairs. The pairs are separated by ',' and the
+ * key from the value by the first ':'. A value in double quotes, as in MSG1:"Health: 40%, happy",
+ * can contain ',' and ':'. A backslash escapes a following ',', ':', '"' or '\' also outside
+ * quotes, as in MSG1:Health: 40%\, happy. Other backslashes and quotes are kept as they are.
+ * @param data The message string
+ * @return Array of [key, value], trimmed of whitespace outside quotes. The value is "" when there
+ * is no ':'. Throws an error message for an unterminated quote or text after a closing quote
+ */
+function splitPairs(data) {
+  let pairs = [], key = null, text = "", quoted = null, i = 0;
+  let value = () => quoted != null ? quoted : text.trim();
+  while (i <= data.length) {
+    let c = data[i];
+    if (i == data.length || c == ",") { // end of the pair
+      pairs.push(key == null ? [text.trim(), ""] : [key, value()]);
+      key = null;
+      text = "";
+      quoted = null;
+      i++;
+    } else if (quoted != null) { // only whitespace can follow the closing quote
+      if (c.trim()) throw "Error: Unexpected text after the quoted value of \"" + key + "\": \""
+        + data.substring(i).split(",")[0] + "\". Put the whole value in quotes.";
+      i++;
+    } else if (c == "\\" && i + 1 < data.length && ",:\"\\".includes(data[i+1])) {
+      text += data[i+1];
+      i += 2;
+    } else if (c == ":" && key == null) {
+      key = text.trim();
+      text = "";
+      i++;
+    } else if (c == "\"" && key != null && text.trim() == "") { // quoted value
+      let start = i++;
+      quoted = "";
+      while (i < data.length && data[i] != "\"") {
+        if (data[i] == "\\" && i + 1 < data.length && ",:\"\\".includes(data[i+1])) i++;
+        quoted += data[i++];
+      }
+      if (i == data.length)
+        throw "Error: Unterminated quote in the value of \"" + key + "\": " + data.substring(start)
+          + ". End the value with '\"', or escape the quote as '\\\"'.";
+      i++; // the closing quote
+    } else {
+      text += c;
+      i++;
+    }
+  }
+  return pairs;
+}
+
 /**
  * @brief Read tokens from UART received string into two data structures: the topics that will be sent to
  * the database, and the decoded items of data from each topic.
  * @param data String with key(-value) pairs defined in gateway.dataTypes:
- * "id:0025,event:UP,session:start,press:101325.61,ping"
+ * "id:0025,event:UP,session:start,press:101325.61,ping". Values can be quoted or escaped, see
+ * splitPairs
+ * @param from The sender address found before reading, for counting the errors, see sender
  * @return Promise with resolving in the sender address, topics that will be sent to the database,
  * and the data inside these topics. The reject contains a string describing the error
  */
-function readDataTokens(data) {
-  let addr = null, sends = [], resultDicts = {}, pair, dtype;
-  let tokens = data.split(",");
+function readDataTokens(data, from) {
+  let addr = null, sends = [], resultDicts = {}, pairs, dtype;
   return new Promise(async (resolve, reject) => {
-    for (const token of tokens) { // iterate through tokens
-      pair = token.split(":");
-      pair = [pair[0], pair.slice(1).join(":")].map(d => d.trim()); // pair = [name, value]
+    try {
+      pairs = splitPairs(data);
+    } catch (str) {
+      countError(from, "quoting");
+      reject(str);
+      return;
+    }
+    for (const pair of pairs) { // pair = [name, value]
       dtype = gateway.dataTypes.find(type => type.shortName == pair[0]);
       if (dtype != undefined) { // if name is found in defined data types
         // Execute the dtype decode function with the parameter value if it exists
-        await dtype.fun(pair.length == 1 ? undefined : pair[1]).then(
+        let ok = await dtype.fun(pair.length == 1 ? undefined : pair[1]).then(
           d => {
             for (const table of dtype.topics) {
               if (dtype.shortName == "id") addr = d; // get the addr for other uses
@@ -167,39 +317,27 @@ function readDataTokens(data) {
               if (!(table in resultDicts)) resultDicts[table] = {};
               resultDicts[table][dtype.nameInDB] = d; // add decoded data into table
             }
-          }, reject /* pass error forward */);
+            return true;
+          }, err => {
+            countError(from, "bad value");
+            reject(err); // pass error forward
+            return false;
+          });
+        if (!ok) return;
       } else {
         // Couldn't find the name in the dataTypes. Find closest match and throw an error
+        countError(from, "unknown field");
         reject("Error: Unknown field label \"" + pair[0] + "\". Did you mean \"" +
           util.closestMatch(pair[0].toLowerCase(), gateway.dataTypes.map(d=>d.shortName)) + "\"?");
+        return;
       }
     }
-    if (!addr) reject("Error: No SensorTag ID given!");
+    if (!addr) {
+      countError(from, "no ID");
+      reject("Error: No SensorTag ID given!");
+    }
     resolve([addr, sends, resultDicts]);
   });
 }
 
-/**
- * @brief Create a data entry for storing the session data
- * @param addr The SensorTag ID for which this data entry belongs
- * @return An empty data entry filled with the address and the session time stamp
- */
-function makeDataEntry(addr) {
-  return {
-          sensortagID: addr,
-          sessionTimeStamp: moment().utc(),
-          temperature: [],
-          humidity: [],
-          pressure: [],
-          lightIntensity: [],
-          timeStamp: [],
-          ax: [],
-          ay: [],
-          az: [],
-          gx: [],
-          gy: [],
-          gz: []
-        };
-}
-
 module.exports = reader;
@@ -0,0 +1,153 @@
+/**
+ * @file scenario.js
+ * @brief Scripted test scenarios for SensorTag firmware
+ *
+ * A scenario file has one step per line. Empty lines and lines beginning with '#' are skipped.
+ *    send <text>             send the text like a line typed in the console. In server mode the
+ *                            address is given as in '0123#text', and else the text is broadcast
+ *    wait <ms>               wait ms milliseconds
+ *    expect <ms> <pattern>   wait at most ms milliseconds for a received message matching the
+ *                            regular expression. '0123#pattern' only accepts messages from 0123
+ * The messages received during the scenario are kept in order, and an expect step goes through
+ * the ones not yet matched by an earlier expect step, so a reply that arrives during a wait step is
+ * still found. Every step is reported as passed or failed, and a failed step doesn't stop the
+ * scenario.
+ */
+const fs = require("fs");
+const util = require("./util");
+const uart = require("./uart");
+const reader = require("./reader");
+
+let scenario = {};
+let sendLine = null;
+let running = false;
+let received = []; // messages received during the scenario and not matched yet: {addr, str}
+let notify = null; // called when a message is received while an expect step is waiting
+
+/**
+ * @brief Initiate the module
+ * @param esendLine Function sending a line typed in the console to the SensorTags
+ */
+scenario.init = (esendLine) => {
+  sendLine = esendLine;
+  reader.onFrame((addr, str) => {
+    if (!running) return;
+    received.push({addr: addr, str: str});
+    if (notify) notify();
+  });
+}
+
+/**
+ * @brief Check if a scenario is running
+ */
+scenario.running = () => running;
+
+/**
+ * @brief Read the steps of a scenario file
+ * @param file Path of the scenario file
+ * @return Promise resolving with an array of {line, source, action, text, ms, addr, pattern}, where
+ * source is the text of the line. Rejects with an error message naming the first bad line
+ */
+scenario.load = (file) => {
+  return new Promise((resolve, reject) => {
+    let lines, steps = [];
+    try {
+      lines = fs.readFileSync(file, "utf8").split(/\r?\n/);
+    } catch (e) {
+      reject("Error: Could not read scenario file " + file + ": " + e.message);
+      return;
+    }
+    for (let i = 0; i < lines.length; i++) {
+      let line = lines[i].trim(), m;
+      if (line == "" || line[0] == "#") continue;
+      if (m = line.match(/^send\s+(.+)$/)) {
+        steps.push({line: i + 1, source: line, action: "send", text: m[1]});
+      } else if (m = line.match(/^wait\s+(\d+)$/)) {
+        steps.push({line: i + 1, source: line, action: "wait", ms: Number(m[1])});
+      } else if (m = line.match(/^expect\s+(\d+)\s+(?:([0-9a-f]{4})#)?(.+)$/i)) {
+        let pattern;
+        try {
+          pattern = new RegExp(m[3]);
+        } catch (e) {
+          reject("Error: " + file + " line " + (i + 1) + ": " + e.message);
+          return;
+        }
+        steps.push({line: i + 1, source: line, action: "expect", ms: Number(m[1]),
+          addr: m[2] && m[2].toLowerCase(), pattern: pattern});
+      } else {
+        reject("Error: " + file + " line " + (i + 1) + ": expected 'send <text>', 'wait <ms>' or "
+          + "'expect <ms> <pattern>', got '" + line + "'.");
+        return;
+      }
+    }
+    resolve(steps);
+  });
+}
+
+/**
+ * @brief Run a scenario file and report each step in the console
+ * @param file Path of the scenario file
+ * @return Promise resolving with {passed, failed}, the numbers of steps. Rejects with an error
+ * message if the file could not be read or another scenario is running
+ */
+scenario.run = (file) => {
+  if (running) return Promise.reject("Error: A scenario is already running.");
+  return scenario.load(file).then(async steps => {
+    let passed = 0, failed = 0;
+    running = true;
+    received = [];
+    util.showMsg("info", "Running scenario " + file + " (" + steps.length + " step" + (steps.length != 1 ? "s" : "") + ").");
+    for (const step of steps) {
+      let [pass, detail] = await runStep(step);
+      if (pass) passed++;
+      else failed++;
+      util.showMsg(pass ? "info" : "error", (pass ? "PASS" : "FAIL") + " line " + step.line + ": "
+        + step.source + (detail ? " (" + detail + ")" : ""));
+    }
+    running = false;
+    util.showMsg(failed ? "error" : "info", "Scenario " + file + " " + (failed ? "failed" : "passed") + ": "
+      + passed + " passed, " + failed + " failed.");
+    return {passed: passed, failed: failed};
+  });
+}
+
+/**
+ * @brief Run a step of a scenario
+ * @param step A step given by scenario.load
+ * @return Promise resolving with [pass, detail], where detail describes the result or is empty
+ */
+function runStep(step) {
+  return new Promise(resolve => {
+    if (step.action == "send") {
+      if (!uart.devices().length) {
+        resolve([false, "no serial device is connected"]);
+        return;
+      }
+      sendLine(step.text);
+      resolve([true, ""]);
+    } else if (step.action == "wait") {
+      setTimeout(() => resolve([true, ""]), step.ms);
+    } else {
+      let start = Date.now(), timer;
+      let check = () => {
+        let i = received.findIndex(k => (!step.addr || k.addr == step.addr) && step.pattern.test(k.str));
+        if (i == -1) return false;
+        let match = received[i];
+        received = received.slice(i + 1);
+        notify = null;
+        clearTimeout(timer);
+        resolve([true, "got '" + JSON.stringify(match.str).slice(1, -1) + "'"
+          + (match.addr != "unknown" ? " from " + match.addr : "") + " after " + (Date.now() - start) + " ms"]);
+        return true;
+      };
+      if (check()) return;
+      notify = check;
+      timer = setTimeout(() => {
+        notify = null;
+        resolve([false, "no matching message in " + step.ms + " ms"]);
+      }, step.ms);
+    }
+  });
+}
+
+module.exports = scenario;
@@ -0,0 +1,160 @@
+/**
+ * @file schema.js
+ * @brief Generation of the data field validators and session columns from field declarations
+ *
+ * The fields are declared in gateway.fields in config.js, and courses can add their own fields
+ * with gateway.customFields in the configuration file. See config.js for the declaration format.
+ */
+
+let schema = {};
+
+schema.types = ["float", "int", "enum", "string", "triple", "hexid", "flag"];
+
+/**
+ * @brief Check a field declaration
+ * @param field The declaration
+ * @param topics The allowed backend topics
+ * @return Array of error messages, empty if the declaration is valid
+ */
+function checkField(field, topics) {
+  let errors = [], name = "Field " + JSON.stringify(field.shortName);
+  if (typeof field.shortName != "string" || !/^[^,:]+$/.test(field.shortName))
+    errors.push(name + ": shortName should be a string without ',' and ':'");
+  if (typeof field.nameInDB != "string" || field.nameInDB == "")
+    errors.push(name + ": nameInDB should be a non-empty string");
+  if (!schema.types.includes(field.type))
+    errors.push(name + ": type should be one of " + schema.types.join(", "));
+  if (!Array.isArray(field.topics) || field.topics.length == 0 || !field.topics.every(t => topics.includes(t)))
+    errors.push(name + ": topic should be one of " + topics.join(", "));
+  if (field.range != undefined && !(Array.isArray(field.range) && field.range.length == 2
+      && field.range.every(k => typeof k == "number") && field.range[0] <= field.range[1]))
+    errors.push(name + ": range should be [min, max]");
+  if (field.type == "enum" && (typeof field.values != "object" || field.values === null))
+    errors.push(name + ": an enum needs its values as an array or as a dictionary");
+  if (field.index != undefined && ![0, 1, 2].includes(field.index))
+    errors.push(name + ": index should be 0, 1 or 2");
+  if (field.scale != undefined && !(typeof field.scale == "number" && field.scale > 0))
+    errors.push(name + ": scale should be a positive number");
+  return errors;
+}
+
+/**
+ * @brief Parse a number of a field, checking its kind and range
+ * @param field The field declaration
+ * @param d The received string
+ * @return The number. Throws an error string
+ */
+function parseNumber(field, d) {
+  let a = Number(d); // Usage of Number is important: It makes sure the whole string is numeric!
+  if (d == undefined || isNaN(a) || d.trim() == '') throw "Error: Non-numeric " + field.label + ": " + d;
+  if (!Number.isFinite(a)) throw "Error: Non-finite " + field.label + ": " + d;
+  if (field.type == "int" && !Number.isInteger(a)) throw "Error: Non-integer " + field.label + ": " + d;
+  if (field.range && (a < field.range[0] || a > field.range[1]))
+    throw "Error: " + field.label + " out of range [" + field.range.join(", ") + "]: " + d;
+  return a;
+}
+
+/**
+ * @brief Make the parse function of a field
+ * @param field The field declaration
+ * @return Function (d: String) returning the processed data. Throws an error string
+ */
+function makeParser(field) {
+  switch (field.type) {
+    case "float":
+    case "int":
+      return d => parseNumber(field, d);
+    case "enum": // values is an array of accepted strings, or a dictionary from strings to results
+      return d => {
+        if (Array.isArray(field.values) ? field.values.includes(d) : field.values.hasOwnProperty(d))
+          return Array.isArray(field.values) ? d : field.values[d];
+        throw "Error: " + field.label + " not recognized: " + d;
+      };
+    case "string":
+      return d => d == undefined ? "" : d;
+    case "triple": // three numbers separated by ';', or with index, a number at that index
+      if (field.index != undefined)
+        return d => {
+          let a = [0, 0, 0];
+          a[field.index] = parseNumber(field, d);
+          return a;
+        };
+      return d => {
+        let a = (d == undefined ? "" : d).split(";");
+        if (a.length != 3) throw "Error: " + field.shortName + " needs three arguments.";
+        return a.map(k => parseNumber(field, k));
+      };
+    case "hexid":
+      return d => {
+        if (d != undefined && !isNaN(Number("0x" + d)) && d.length <= 4 && d != '')
+          return ("0000" + d).slice(-4);
+        throw "Error: " + field.label + " has to be 4 hex digits: " + d;
+      };
+    case "flag": // the value is ignored
+      return d => field.value;
+  }
+}
+
+/**
+ * @brief Check the field declarations and fill in their defaults. Prints the errors and exits the
+ * process if some declaration is invalid.
+ * @param fields Array of field declarations
+ * @param topics The allowed backend topics
+ * @return Array of the completed field declarations
+ */
+schema.build = (fields, topics) => {
+  let errors = [];
+  fields = fields.map(field => {
+    field = Object.assign({}, field);
+    if (typeof field.topic == "string" && !field.topics) field.topics = [field.topic];
+    if (!field.label) field.label = field.nameInDB;
+    errors = errors.concat(checkField(field, topics));
+    return field;
+  });
+  fields.forEach((field, i) => {
+    if (fields.findIndex(f => f.shortName == field.shortName) != i)
+      errors.push("Field " + JSON.stringify(field.shortName) + " is declared twice");
+  });
+  if (schema.sessionFields(fields).length > 17) // the binary frame bitmap has 16 bits, and time is not in it
+    errors.push("There can be at most 16 sensor data fields in addition to the timestamp");
+  if (errors.length) {
+    console.error("Invalid data field declarations:\n  " + errors.join("\n  "));
+    process.exit(1);
+  }
+  return fields;
+}
+
+/**
+ * @brief Generate the data types used when reading UART messages
+ * @param fields Array of field declarations completed by schema.build
+ * @return Array of data types {shortName, nameInDB, topics, forceSend, fun}, where fun is a
+ * Promise-type function parsing the data of the field. Resolve gives the processed data, and reject
+ * the error message
+ */
+schema.dataTypes = (fields) => {
+  return fields.map(field => {
+    let parse = makeParser(field);
+    return {
+      shortName: field.shortName,
+      nameInDB: field.nameInDB,
+      topics: field.topics,
+      forceSend: field.forceSend == true,
+      fun: d => new Promise((resolve, reject) => {
+        try {
+          resolve(parse(d));
+        } catch (str) {
+          reject(str);
+        }
+      }),
+    };
+  });
+}
+
+/**
+ * @brief The fields collected into sensor data sessions, in column order
+ * @param fields Array of field declarations
+ * @return Array of the declarations of fields sent on the topic 'sensordata'
+ */
+schema.sessionFields = (fields) => fields.filter(field => (field.topics || []).includes("sensordata"));
+
+module.exports = schema;
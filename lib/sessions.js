@@ -0,0 +1,261 @@
+/**
+ * @file sessions.js
+ * @brief Storage and lifecycle of the sensor data sessions
+ *
+ * Each SensorTag can have one open session. The numeric columns of a session are stored in
+ * Float64Arrays, where a missing value is NaN, and the arrays grow as rows are added. The memory of
+ * all open sessions together is limited by gateway.sessions.memoryBudget. A session that has not
+ * received rows in gateway.sessions.idleTimeout milliseconds is closed with the policy
+ * gateway.sessions.idlePolicy: "send" sends it like session:end, "discard" drops it.
+ */
+const moment = require("moment");
+const gateway = require("../config");
+const util = require("./util");
+const exporter = require("./exporter");
+const comm = require("./comm");
+const tags = require("./tags");
+
+let sessions = {};
+let store = {}; // the open sessions by SensorTag ID
+let usedBytes = 0; // memory allocated for the columns of all open sessions
+
+const numericTypes = ["float", "int"];
+const minCapacity = 64; // rows allocated when a session gets its first row
+
+/**
+ * @brief Start a new session, replacing an open session of the same SensorTag. When streaming, the
+ * open session is ended with its final chunk first, so the backend isn't left waiting for it.
+ * @param addr The SensorTag ID
+ */
+sessions.start = (addr) => {
+  let open = store[addr];
+  if (open && gateway.stream.enabled && (open.rows > 0 || open.chunks)) {
+    util.showMsg("info", "Session from " + addr + " was started again.", addr);
+    sessions.end(addr);
+  } else if (open) release(addr);
+  let entry = {
+    sensortagID: addr,
+    started: moment().utc(),
+    lastActivity: Date.now(),
+    rows: 0,
+    capacity: 0,
+    chunks: 0, // number of chunks sent when streaming
+    columns: {}
+  };
+  for (const field of gateway.sessionFields)
+    entry.columns[field.nameInDB] = numericTypes.includes(field.type) ? new Float64Array(0) : [];
+  store[addr] = entry;
+}
+
+/**
+ * @brief Check if a SensorTag has an open session
+ * @param addr The SensorTag ID
+ */
+sessions.isOpen = (addr) => addr in store;
+
+/**
+ * @brief Add a row of sensor data to the open session of a SensorTag
+ * @param addr The SensorTag ID
+ * @param row Dictionary of sensor data columns of the row. Missing columns are added as null, and
+ * a missing timeStamp is the time since session start
+ * @return Error message if the row could not be added, else undefined
+ */
+sessions.addRow = (addr, row) => {
+  let entry = store[addr];
+  if (!entry) return "Error: Sensor data received while no session has been started.";
+  // Streamed sessions are sent in chunks before this
+  if (entry.rows >= gateway.maxSessionRows)
+    return "Error: Sensor data session is full (" + gateway.maxSessionRows + " rows).";
+  if (entry.rows == entry.capacity && !grow(entry))
+    return "Error: Gateway session memory is full (" + mebibytes(gateway.sessions.memoryBudget)
+      + "). Sensor data from " + addr + " was not added.";
+  for (const field of gateway.sessionFields) {
+    let label = field.nameInDB, value = row[label];
+    if (label == "timeStamp" && !(label in row)) value = moment().utc().diff(entry.started);
+    if (value == undefined) value = null;
+    entry.columns[label][entry.rows] = ArrayBuffer.isView(entry.columns[label]) && value === null ? NaN : value;
+  }
+  entry.rows++;
+  entry.lastActivity = Date.now();
+  if (gateway.stream.enabled && entry.rows >= Math.min(gateway.stream.chunkRows, gateway.maxSessionRows))
+    sendChunk(entry, false);
+}
+
+/**
+ * @brief End the open session of a SensorTag and send its data to the backend
+ * @param addr The SensorTag ID
+ * @return Error message if there was nothing to send, else undefined
+ */
+sessions.end = (addr) => {
+  let entry = store[addr];
+  if (!entry) return "Error: No session was started. Session data send prevented.";
+  if (entry.rows == 0 && !entry.chunks) // Don't send an empty session
+    return "Error: The session was empty. It will not be sent.";
+  if (gateway.stream.enabled) {
+    util.showMsg("info", "Session from " + addr + " ended, sending the last " + entry.rows + " rows of data.", addr);
+    sendChunk(entry, true);
+  } else {
+    util.showMsg("info", "Session from " + addr + " ended, sending " + entry.rows + " rows of data.", addr);
+    tags.count(addr, "rows", entry.rows);
+    let data = Object.assign({sensortagID: addr}, takeColumns(entry));
+    if (gateway.export.enabled) exporter.saveSession(data, entry.started);
+    comm.send("sensordata", data);
+  }
+  tags.count(addr, "sessions");
+  release(addr); // erase data after send
+}
+
+/**
+ * @brief List the open sensor data sessions
+ * @return Array of {sensortagID, rows, started, idle, bytes} for each open session, where idle is
+ * the time in milliseconds since the last row and bytes is the allocated memory
+ */
+sessions.list = () => {
+  let now = Date.now();
+  return Object.values(store).map(entry => ({
+    sensortagID: entry.sensortagID,
+    rows: entry.rows,
+    started: entry.started.toJSON(),
+    idle: now - entry.lastActivity,
+    bytes: bytesOf(entry, entry.capacity)
+  }));
+}
+
+/**
+ * @brief Memory allocated for the open sessions
+ * @return Bytes
+ */
+sessions.memoryUsage = () => usedBytes;
+
+/**
+ * @brief Describe the open sessions for the console
+ * @return Multi-line string
+ */
+sessions.describe = () => {
+  let list = sessions.list();
+  let lines = [list.length + " open session" + (list.length != 1 ? "s" : "") + ", using "
+    + mebibytes(usedBytes) + " of " + mebibytes(gateway.sessions.memoryBudget) + "."];
+  for (const s of list)
+    lines.push("  " + s.sensortagID + "  " + String(s.rows).padStart(5) + " rows  started "
+      + moment(s.started).local().format("HH:mm:ss") + "  idle " + Math.round(s.idle / 1000) + " s  "
+      + Math.ceil(s.bytes / 1024) + " KiB");
+  return lines.join("\n");
+}
+
+/**
+ * @brief Close the sessions that have been idle longer than gateway.sessions.idleTimeout
+ */
+function closeIdle() {
+  if (!gateway.sessions.idleTimeout) return;
+  let now = Date.now();
+  for (const entry of Object.values(store)) {
+    let idle = now - entry.lastActivity;
+    if (idle < gateway.sessions.idleTimeout) continue;
+    let addr = entry.sensortagID, seconds = Math.round(idle / 1000);
+    if (gateway.sessions.idlePolicy == "send" && (entry.rows > 0 || entry.chunks)) {
+      util.showMsg("info", "Session from " + addr + " has been idle for " + seconds + " s.", addr);
+      sessions.end(addr);
+    } else {
+      util.showMsg("info", "Session from " + addr + " has been idle for " + seconds + " s, discarding "
+        + entry.rows + " rows of data.", addr);
+      if (entry.chunks) exporter.discardChunks(sessionIdOf(entry));
+      release(addr);
+    }
+  }
+}
+
+/**
+ * @brief Send the rows collected so far in a streamed session as one chunk, and empty the session
+ * buffer for the next chunk
+ * @param entry The session
+ * @param final True when this is the last chunk of the session
+ *
+ * The chunk has the session columns, the SensorTag ID, the session identifier sessionId, the
+ * sequence number of the chunk in the session starting from 0, and final.
+ */
+function sendChunk(entry, final) {
+  let addr = entry.sensortagID;
+  tags.count(addr, "rows", entry.rows);
+  let columns = takeColumns(entry);
+  let sessionId = sessionIdOf(entry);
+  if (gateway.export.enabled)
+    exporter.saveChunk(Object.assign({sensortagID: addr}, columns), entry.started, sessionId, final);
+  comm.send(gateway.stream.topic, Object.assign({
+    sensortagID: addr,
+    sessionId: sessionId,
+    sequence: entry.chunks++,
+    final: final
+  }, columns));
+}
+
+/**
+ * @brief The identifier of a streamed session, the same in all of its chunks
+ */
+function sessionIdOf(entry) {
+  return entry.sensortagID + "-" + entry.started.valueOf();
+}
+
+/**
+ * @brief Take the rows of a session as plain arrays with null for missing values, and empty the
+ * session. The allocated memory is kept for the next rows.
+ * @param entry The session
+ * @return Dictionary of the session columns
+ */
+function takeColumns(entry) {
+  let columns = {};
+  for (const [label, column] of Object.entries(entry.columns)) {
+    columns[label] = ArrayBuffer.isView(column) ?
+      Array.from(column.subarray(0, entry.rows), v => isNaN(v) ? null : v) : column.slice(0, entry.rows);
+    if (!ArrayBuffer.isView(column)) column.length = 0;
+  }
+  entry.rows = 0;
+  return columns;
+}
+
+/**
+ * @brief Make room for more rows in a session within the memory budget
+ * @param entry The session
+ * @return False if the budget has no room for a single row
+ */
+function grow(entry) {
+  let capacity = Math.min(Math.max(entry.capacity * 2, minCapacity), gateway.maxSessionRows);
+  let free = gateway.sessions.memoryBudget - usedBytes, rowBytes = bytesOf(entry, 1);
+  capacity = Math.min(capacity, entry.capacity + Math.floor(free / rowBytes));
+  if (capacity <= entry.capacity) return false;
+  for (const [label, column] of Object.entries(entry.columns)) {
+    if (!ArrayBuffer.isView(column)) continue;
+    let bigger = new Float64Array(capacity);
+    bigger.set(column);
+    entry.columns[label] = bigger;
+  }
+  usedBytes += (capacity - entry.capacity) * rowBytes;
+  entry.capacity = capacity;
+  return true;
+}
+
+/**
+ * @brief Remove a session and free its memory
+ * @param addr The SensorTag ID
+ */
+function release(addr) {
+  usedBytes -= bytesOf(store[addr], store[addr].capacity);
+  delete store[addr];
+}
+
+/**
+ * @brief Memory of a number of rows in a session. Values in plain arrays are counted as 8 bytes.
+ */
+function bytesOf(entry, rows) {
+  return rows * 8 * Object.keys(entry.columns).length;
+}
+
+/**
+ * @brief Format bytes as mebibytes for messages
+ */
+function mebibytes(bytes) {
+  return (bytes / 1024 / 1024).toFixed(1) + " MiB";
+}
+
+setInterval(closeIdle, 1000).unref();
+
+module.exports = sessions;
@@ -0,0 +1,333 @@
+/**
+ * @file settings.js
+ * @brief Loading of the configuration file and environment variable overrides for config.js
+ *
+ * The configuration file is a JSON file with the same structure as the 'gateway' dictionary in
+ * config.js, for example {"uart": {"baudRate": 115200}, "maxSessionRows": 6000}. It is given with
+ * the --config command line option or the GATEWAY_CONFIG environment variable. Every setting can
+ * also be overridden with an environment variable named after it: uart.baudRate is
+ * GATEWAY_UART_BAUD_RATE.
+ * The defaults of config.js are overridden by the file, the file by the environment and the
+ * environment by the command line options.
+ */
+const fs = require("fs");
+const util = require("./util");
+const crc = require("./crc");
+
+let settings = {};
+
+/**
+ * The settings that can be changed. Element description:
+ *  key    - path of the setting in the 'gateway' dictionary
+ *  type   - string, string?, boolean, integer, number, enum, delimiter, object or array. 'string?'
+ *           also accepts null, and a delimiter is a string or an array of byte values
+ *  values - the accepted values of an enum, or of an integer if given
+ *  min    - the smallest accepted number
+ *  max    - the largest accepted number
+ */
+const baudRates = [4800, 9600, 19200, 38400, 57600, 76800, 115200];
+settings.schema = [
+  {key: "transport", type: "enum", values: ["socket", "mqtt", "http", "file"]},
+  {key: "mqtt.host", type: "string"},
+  {key: "mqtt.options", type: "object"},
+  {key: "mqtt.publishPrefix", type: "string"},
+  {key: "mqtt.subscribePrefix", type: "string"},
+  {key: "mqtt.qos", type: "integer", values: [0, 1, 2]},
+  {key: "mqtt.ca", type: "string?"},
+  {key: "mqtt.cert", type: "string?"},
+  {key: "mqtt.key", type: "string?"},
+  {key: "socket.host", type: "string"},
+  {key: "socket.options", type: "object"},
+  {key: "http.url", type: "string"},
+  {key: "http.headers", type: "object"},
+  {key: "http.timeout", type: "integer", min: 100},
+  {key: "http.retryInterval", type: "integer", min: 100},
+  {key: "sink.path", type: "string"},
+  {key: "offline", type: "boolean"},
+  {key: "outbox.file", type: "string"},
+  {key: "uart.txlength", type: "integer", min: 4},
+  {key: "uart.baudRate", type: "integer", values: baudRates},
+  {key: "uart.pipe", type: "enum", values: ["delimiter", "length"]},
+  {key: "uart.delim", type: "delimiter"},
+  {key: "uart.rxlength", type: "integer", min: 1},
+  {key: "queue.maxDepth", type: "integer", min: 1},
+  {key: "queue.minInterval", type: "integer", min: 0},
+  {key: "queue.dropPolicy", type: "enum", values: ["oldest", "newest"]},
+  {key: "delivery.enabled", type: "boolean"},
+  {key: "delivery.timeout", type: "integer", min: 100},
+  {key: "delivery.backoff", type: "number", min: 1},
+  {key: "delivery.retries", type: "integer", min: 0},
+  {key: "crc.uplink", type: "enum", values: ["off", "optional", "required"]},
+  {key: "crc.downlink", type: "boolean"},
+  {key: "capture.enabled", type: "boolean"},
+  {key: "capture.dir", type: "string"},
+  {key: "replay.file", type: "string?"},
+  {key: "replay.speed", type: "number", min: 0},
+  {key: "scenario.file", type: "string?"},
+  {key: "scenario.connectTimeout", type: "integer", min: 0},
+  {key: "simulator.enabled", type: "boolean"},
+  {key: "simulator.path", type: "string"},
+  {key: "simulator.devices", type: "integer", min: 1},
+  {key: "simulator.maxRecorded", type: "integer", min: 1},
+  {key: "simulator.ackLoss", type: "number", min: 0, max: 1},
+  {key: "simulator.crc", type: "boolean"},
+  {key: "simulator.corruption", type: "number", min: 0, max: 1},
+  {key: "simulator.tags", type: "array"},
+  {key: "dashboard.enabled", type: "boolean"},
+  {key: "dashboard.host", type: "string"},
+  {key: "dashboard.port", type: "integer", min: 1, max: 65535},
+  {key: "dashboard.interval", type: "integer", min: 100},
+  {key: "export.enabled", type: "boolean"},
+  {key: "export.format", type: "enum", values: ["csv", "json"]},
+  {key: "export.dir", type: "string"},
+  {key: "ports.path", type: "string?"},
+  {key: "ports.paths", type: "array"},
+  {key: "ports.max", type: "integer", min: 1},
+  {key: "ports.autofind", type: "boolean"},
+  {key: "ports.maxTries", type: "integer", min: 0},
+  {key: "ports.filters", type: "array"},
+  {key: "muteConnectionError", type: "boolean"},
+  {key: "connectedAddressTimeout", type: "integer", min: 0},
+  {key: "maxSessionRows", type: "integer", min: 1},
+  {key: "sessions.idleTimeout", type: "integer", min: 0},
+  {key: "sessions.idlePolicy", type: "enum", values: ["send", "discard"]},
+  {key: "sessions.memoryBudget", type: "integer", min: 1024},
+  {key: "stream.enabled", type: "boolean"},
+  {key: "stream.chunkRows", type: "integer", min: 1},
+  {key: "stream.topic", type: "string"},
+  {key: "customFields", type: "array"},
+  {key: "server.baudRate", type: "integer", values: baudRates},
+  {key: "server.pipe", type: "enum", values: ["delimiter", "length"]},
+  {key: "server.delim", type: "delimiter"},
+  {key: "isServer", type: "boolean"},
+  {key: "heartbeatInterval", type: "integer", min: 1000},
+  {key: "debugMode", type: "boolean"},
+  {key: "logLevel", type: "enum", values: ["none", "error", "info", "debug"]},
+  {key: "log.enabled", type: "boolean"},
+  {key: "log.file", type: "string"},
+  {key: "log.format", type: "enum", values: ["plain", "json"]},
+  {key: "log.level", type: "enum", values: ["error", "info", "debug"]},
+  {key: "log.maxSize", type: "integer", min: 1024},
+  {key: "log.keep", type: "integer", min: 0},
+  {key: "history.file", type: "string?"},
+  {key: "history.size", type: "integer", min: 0},
+];
+
+let sources = {}; // where each changed setting came from
+let loaded = {}; // values after the file and the environment, for detecting command line changes
+const serverUart = ["baudRate", "pipe", "delim"]; // UART settings that server mode takes from gateway.server
+
+/**
+ * @brief Name of the environment variable that overrides a setting
+ * @param key Path of the setting, e.g. "uart.baudRate"
+ * @return The variable name, e.g. "GATEWAY_UART_BAUD_RATE"
+ */
+settings.envName = (key) => "GATEWAY_" + key.replace(/([a-z])([A-Z])/g, "$1_$2").replace(/\./g, "_").toUpperCase();
+
+/**
+ * @brief Get a setting from the dictionary
+ */
+function get(dict, key) {
+  return key.split(".").reduce((d, k) => d == undefined ? undefined : d[k], dict);
+}
+
+/**
+ * @brief Set a setting in the dictionary
+ */
+function set(dict, key, value) {
+  let keys = key.split(".");
+  let last = keys.pop();
+  keys.reduce((d, k) => d[k], dict)[last] = value;
+}
+
+/**
+ * @brief Check a value against the type of its setting
+ * @param entry The element of settings.schema
+ * @param value The value to check
+ * @return The value converted for use in the 'gateway' dictionary. Throws a string describing the
+ * expected value
+ */
+function check(entry, value) {
+  let fail = (what) => { throw "expected " + what; };
+  switch (entry.type) {
+    case "string?":
+      if (value === null) return value;
+    case "string":
+      if (typeof value != "string") fail("a string");
+      return value;
+    case "boolean":
+      if (typeof value != "boolean") fail("true or false");
+      return value;
+    case "integer":
+    case "number":
+      if (entry.type == "integer" && !Number.isInteger(value)) fail("an integer");
+      if (typeof value != "number" || !Number.isFinite(value)) fail("a number");
+      if (entry.values && !entry.values.includes(value)) fail("one of " + entry.values.join(", "));
+      if (entry.min != undefined && value < entry.min) fail("at least " + entry.min);
+      if (entry.max != undefined && value > entry.max) fail("at most " + entry.max);
+      return value;
+    case "enum":
+      if (!entry.values.includes(value)) fail("one of " + entry.values.map(k => JSON.stringify(k)).join(", "));
+      return value;
+    case "delimiter":
+      if (typeof value == "string" && value.length > 0) return value;
+      if (Array.isArray(value) && value.length > 0 && value.every(k => Number.isInteger(k) && k >= 0 && k < 256))
+        return Buffer.from(value);
+      fail("a non-empty string or an array of byte values");
+    case "object":
+      if (typeof value != "object" || value === null || Array.isArray(value)) fail("an object");
+      return value;
+    case "array":
+      if (!Array.isArray(value)) fail("an array");
+      return value;
+  }
+}
+
+/**
+ * @brief Convert an environment variable into a value of the type of its setting
+ * @param entry The element of settings.schema
+ * @param str The value of the environment variable
+ * @return The converted value, to be checked with check()
+ */
+function parseEnv(entry, str) {
+  switch (entry.type) {
+    case "integer":
+    case "number":
+      return str.trim() == "" ? NaN : Number(str);
+    case "boolean":
+      if (["true", "1", "yes"].includes(str.toLowerCase())) return true;
+      if (["false", "0", "no"].includes(str.toLowerCase())) return false;
+      return str;
+    case "delimiter": // byte values separated by commas, e.g. "242" or "13,10"
+      return str.split(",").map(k => k.trim() == "" ? NaN : Number(k));
+    case "object":
+    case "array":
+      try {
+        return JSON.parse(str);
+      } catch (e) {
+        return str;
+      }
+    default:
+      return str;
+  }
+}
+
+/**
+ * @brief Read the settings in a configuration file into the dictionary
+ * @param dict The dictionary 'gateway' defined in config.js
+ * @param file Path of the JSON configuration file
+ * @param errors Array where error messages are added
+ */
+function loadFile(dict, file, errors) {
+  let content;
+  try {
+    content = JSON.parse(fs.readFileSync(file, "utf8"));
+  } catch (e) {
+    errors.push("Could not read configuration file " + file + ": " + e.message);
+    return;
+  }
+  let walk = (obj, prefix) => {
+    for (const [k, value] of Object.entries(obj)) {
+      let key = prefix + k, entry = settings.schema.find(e => e.key == key);
+      if (entry) {
+        try {
+          set(dict, key, check(entry, value));
+          sources[key] = "file";
+        } catch (str) {
+          errors.push(key + ": " + str + ", got " + JSON.stringify(value));
+        }
+      } else if (typeof value == "object" && value !== null && settings.schema.some(e => e.key.startsWith(key + "."))) {
+        walk(value, key + ".");
+      } else {
+        errors.push("Unknown setting \"" + key + "\". Did you mean \"" +
+          util.closestMatch(key, settings.schema.map(e => e.key)) + "\"?");
+      }
+    }
+  };
+  if (typeof content != "object" || content === null || Array.isArray(content))
+    errors.push("Configuration file " + file + " should contain a JSON object.");
+  else walk(content, "");
+}
+
+/**
+ * @brief Apply the configuration file and the environment variables to the dictionary. Prints the
+ * errors and exits the process if some setting is invalid.
+ * @param dict The dictionary 'gateway' defined in config.js
+ * @param file Path of the configuration file given on the command line, or undefined
+ */
+settings.load = (dict, file = process.env.GATEWAY_CONFIG) => {
+  let errors = [];
+  if (file) loadFile(dict, file, errors);
+  for (const entry of settings.schema) {
+    let name = settings.envName(entry.key);
+    if (!(name in process.env)) continue;
+    try {
+      set(dict, entry.key, check(entry, parseEnv(entry, process.env[name])));
+      sources[entry.key] = "environment";
+    } catch (str) {
+      errors.push(name + ": " + str + ", got " + JSON.stringify(process.env[name]));
+    }
+  }
+  if (errors.length) {
+    console.error("Invalid configuration:\n  " + errors.join("\n  "));
+    process.exit(1);
+  }
+  // Server mode from the file or the environment uses the UART settings of the ServerTag like -s,
+  // except the ones set there too
+  if (sources.isServer && dict.isServer) {
+    let keep = serverUart.filter(key => sources["uart." + key]);
+    settings.useServerUart(dict, keep);
+    for (const key of serverUart) if (!keep.includes(key)) sources["uart." + key] = sources.isServer;
+  }
+  for (const entry of settings.schema) loaded[entry.key] = get(dict, entry.key);
+}
+
+/**
+ * @brief Use the UART settings of the ServerTag, gateway.server, in gateway.uart
+ * @param dict The dictionary 'gateway' defined in config.js
+ * @param keep The UART settings not to change, e.g. ["baudRate"]
+ */
+settings.useServerUart = (dict, keep = []) => {
+  for (const key of serverUart)
+    if (!keep.includes(key)) dict.uart[key] = dict.server[key];
+}
+
+/**
+ * @brief Check the settings that depend on each other, after the command line options have been
+ * applied. Prints the errors and exits the process if some combination is invalid.
+ * @param dict The dictionary 'gateway' defined in config.js
+ */
+settings.verify = (dict) => {
+  let errors = [];
+  // A frame to a SensorTag has the zero terminator, the address that can take 4 bytes when escaped,
+  // at least one character of text and the tags: the longest sequence tag (see uart.track) and the
+  // checksum suffix
+  let tags = (dict.delivery.enabled ? ",seq:9999".length : 0) + (dict.crc.downlink ? crc.tagLength : 0);
+  let least = 1 + (dict.isServer ? 4 : 0) + 1 + tags;
+  let names = [dict.delivery.enabled && "the sequence tag of reliable delivery",
+    dict.crc.downlink && "the checksum suffix of crc.downlink"].filter(name => name).join(" and ");
+  if (tags && dict.uart.txlength < least)
+    errors.push("uart.txlength: expected at least " + least + " to fit " + names + ", got " + dict.uart.txlength);
+  if (errors.length) {
+    console.error("Invalid configuration:\n  " + errors.join("\n  "));
+    process.exit(1);
+  }
+}
+
+/**
+ * @brief Describe the effective configuration
+ * @param dict The dictionary 'gateway' defined in config.js
+ * @return Multi-line string with every setting, its value and where it was set
+ */
+settings.describe = (dict) => {
+  let lines = ["Effective configuration:"];
+  for (const entry of settings.schema) {
+    let value = get(dict, entry.key), source = sources[entry.key];
+    if (value !== loaded[entry.key]) source = "command line";
+    value = Buffer.isBuffer(value) ? JSON.stringify(Array.from(value)) : JSON.stringify(value);
+    lines.push("  " + entry.key + " = " + value + (source ? "  (" + source + ")" : ""));
+  }
+  return lines.join("\n");
+}
+
+module.exports = settings;
@@ -0,0 +1,268 @@
+/**
+ * @file simulator.js
+ * @brief Virtual serial device simulating a SensorTag, or a ServerTag with virtual SensorTags
+ *
+ * The simulator is installed as the serialport binding, so the gateway opens it like any serial
+ * port. In server mode it answers the challenge and the heartbeat like a ServerTag, and sends
+ * escaped frames from the virtual SensorTags in gateway.simulator.tags. In client mode the first
+ * virtual SensorTag is connected directly. Everything the gateway writes is recorded.
+ *
+ * With gateway.simulator.devices greater than one there are several virtual serial devices. In
+ * server mode the virtual SensorTags take turns in joining them, and in client mode each device
+ * is a virtual SensorTag of its own.
+ */
+const MockBinding = require("@serialport/binding-mock");
+const SerialPort = require("serialport");
+const gateway = require("../config");
+const util = require("./util");
+const binary = require("./binary");
+const framing = require("./framing");
+const crc = require("./crc");
+
+let simulator = {};
+let devices = {}; // the open bindings by path
+let timers = {}; // the timers of the virtual SensorTags by device path
+let received = []; // what the gateway has written: {time, path, addr, str}
+
+/**
+ * @brief Serialport binding that passes the written buffers to the simulator
+ */
+class SimulatorBinding extends MockBinding {
+  async open(path, opt) {
+    await super.open(path, opt);
+    this.devicePath = path;
+    devices[path] = this;
+    startTags(path);
+  }
+
+  async close() {
+    stopTags(this.devicePath);
+    delete devices[this.devicePath];
+    await super.close();
+  }
+
+  async write(buffer) {
+    await super.write(buffer);
+    receive(this.devicePath, Buffer.from(buffer));
+  }
+}
+
+/**
+ * @brief Create the virtual serial ports and make them available to the gateway
+ * @return Array of the paths of the virtual serial ports
+ */
+simulator.install = () => {
+  for (const path of simulator.paths())
+    MockBinding.createPort(path, {echo: false, record: false, manufacturer: "Simulator"});
+  SerialPort.Binding = SimulatorBinding;
+  return simulator.paths();
+}
+
+/**
+ * @brief The paths of the virtual serial ports: gateway.simulator.path, and for the other devices
+ * the same path with the device number appended
+ */
+simulator.paths = () => Array.from({length: gateway.simulator.devices},
+  (_, i) => gateway.simulator.path + (i ? "-" + (i + 1) : ""));
+
+/**
+ * @brief List what the gateway has written to the simulator
+ * @return Array of {time, path, addr, str}, oldest first. addr is "" for internal and client mode
+ * messages
+ */
+simulator.received = () => received.slice();
+
+/**
+ * @brief Send a frame to the gateway like a ServerTag or a SensorTag would
+ * @param addr The sender address as four hex characters
+ * @param str The message
+ */
+simulator.emit = (addr, str) => {
+  if (gateway.isServer) emitTag(addr, Buffer.from(str, "binary"));
+  else emitTag(addr, Buffer.from("id:" + addr + "," + str, "binary"));
+}
+
+/**
+ * @brief Send a row of sensor data to the gateway as a binary frame
+ * @param addr The sender address as four hex characters
+ * @param row Dictionary of sensor data columns, see binary.js
+ */
+simulator.emitBinary = (addr, row) => {
+  emitTag(addr, binary.encode(addr, row, gateway.isServer));
+}
+
+/**
+ * @brief Send a message of a virtual SensorTag through its device. The checksum is appended when
+ * gateway.simulator.crc is set, and a byte of the message is changed in a share of the frames
+ * given by gateway.simulator.corruption.
+ * @param addr The sender address as four hex characters
+ * @param data Buffer of the message, without the address prepended by the ServerTag
+ */
+function emitTag(addr, data) {
+  let length = data.length;
+  if (gateway.simulator.crc) data = Buffer.concat([data, Buffer.from(crc.tag(data))]);
+  if (length && Math.random() < gateway.simulator.corruption)
+    data[Math.floor(Math.random() * length)] ^= 0x01;
+  emitRaw(pathOf(addr), gateway.isServer ? Buffer.concat([addrBytes(addr), data]) : data);
+}
+
+/**
+ * @brief The virtual SensorTags connected through a device
+ * @param path The path of the virtual serial port
+ */
+function tagsOf(path) {
+  let i = simulator.paths().indexOf(path), n = gateway.simulator.devices;
+  if (!gateway.isServer) return gateway.simulator.tags.slice(i, i + 1);
+  return gateway.simulator.tags.filter((tag, k) => k % n == i);
+}
+
+/**
+ * @brief The path of the device a virtual SensorTag is connected through. Unknown addresses use
+ * the first device.
+ */
+function pathOf(addr) {
+  return simulator.paths().find(path => tagsOf(path).some(tag => tag.id == addr)) || gateway.simulator.path;
+}
+
+/**
+ * @brief The address as two little-endian bytes, like the ServerTag prepends it
+ */
+function addrBytes(addr) {
+  let data = Buffer.alloc(2);
+  data.writeUInt16LE(Number.parseInt(addr, 16));
+  return data;
+}
+
+/**
+ * @brief Send raw bytes to the gateway in the current framing
+ * @param path The path of the virtual serial port
+ * @param data Buffer of the frame without the delimiter
+ */
+function emitRaw(path, data) {
+  let device = devices[path];
+  if (!device) return;
+  data = framing.encode(data);
+  if (gateway.uart.pipe == "length") { // fixed length frames
+    let frame = Buffer.alloc(gateway.uart.rxlength);
+    data.copy(frame, 0, 0, gateway.uart.rxlength);
+    device.emitData(frame);
+  } else {
+    device.emitData(Buffer.concat([data, Buffer.from(gateway.uart.delim)]));
+  }
+}
+
+/**
+ * @brief Handle a buffer written by the gateway: answer internal messages and record the rest
+ * @param path The path of the virtual serial port that was written to
+ * @param data The written buffer
+ */
+function receive(path, data) {
+  let str, addr = "";
+  data = framing.decode(data);
+  if (data[0] == 0 && data[1] == 0 && data[2] == 1) { // internal message to the ServerTag
+    str = data.slice(3).toString("binary").replace(/\0*$/, '');
+    if (str == "Identify")
+      setTimeout(() => emitRaw(path, Buffer.from("\xfe\xfe\x01Simulator", "binary")), 100);
+    else if (str == "HB")
+      setTimeout(() => emitRaw(path, Buffer.from("\xfe\xfe\x01HB", "binary")), 100);
+  } else {
+    if (gateway.isServer) {
+      addr = ("0000" + data.readUInt16LE().toString(16)).slice(-4);
+      data = data.slice(2);
+    }
+    let [body, status] = crc.check(data);
+    str = body.toString("binary").replace(/\0*$/, '');
+    if (status == "corrupt")
+      util.showMsg("error", "Simulator received a message with a wrong checksum: " + JSON.stringify(str));
+    else acknowledge(path, addr, str);
+  }
+  received.push({time: Date.now(), path: path, addr: addr, str: str});
+  if (received.length > gateway.simulator.maxRecorded) received.shift();
+  if (gateway.debugMode)
+    util.showMsg("debug", "Simulator received" + (addr ? " for 0x" + addr : "")
+      + (gateway.simulator.devices > 1 ? " on " + path : "") + ": " + JSON.stringify(str));
+}
+
+/**
+ * @brief Acknowledge a message with a sequence tag, like a SensorTag in reliable delivery would.
+ * A broadcast is acknowledged by the SensorTag whose ID begins the message, as in "123,BEEP:...".
+ * Only the SensorTags connected through the device can acknowledge.
+ * @param path The path of the virtual serial port
+ * @param addr The receiver address, "" in client mode
+ * @param str The received message
+ */
+function acknowledge(path, addr, str) {
+  let seq = str.match(/,seq:(\d+)$/), tags = tagsOf(path);
+  if (!seq || !tags.length || Math.random() < gateway.simulator.ackLoss) return;
+  if (!gateway.isServer) addr = tags[0].id;
+  else if (addr == "ffff") addr = ("0000" + str.split(",")[0]).slice(-4);
+  if (!tags.some(tag => tag.id == addr)) return;
+  setTimeout(() => simulator.emit(addr, "ack:" + seq[1]), 100);
+}
+
+/**
+ * @brief Start sending messages from the virtual SensorTags of a device
+ * @param path The path of the virtual serial port
+ */
+function startTags(path) {
+  let list = timers[path] = [];
+  for (const tag of tagsOf(path)) {
+    if (tag.ping) list.push(setInterval(() => simulator.emit(tag.id, "ping"), tag.ping));
+    if (tag.actions) list.push(setInterval(() => simulator.emit(tag.id, randomAction()), tag.actions));
+    if (tag.session) list.push(setInterval(() => sendSession(tag, list), tag.session.interval));
+  }
+}
+
+/**
+ * @brief Stop the virtual SensorTags of a device
+ * @param path The path of the virtual serial port
+ */
+function stopTags(path) {
+  for (const timer of timers[path] || []) {
+    clearInterval(timer);
+    clearTimeout(timer);
+  }
+  delete timers[path];
+}
+
+/**
+ * @brief Send a sensor data session of tag.session.rows rows from a virtual SensorTag
+ * @param tag The virtual SensorTag from gateway.simulator.tags
+ * @param list The timers of its device, where the row timer is added
+ */
+function sendSession(tag, list) {
+  let row = 0, time = 0;
+  simulator.emit(tag.id, "session:start");
+  let rows = setInterval(() => {
+    if (row++ >= tag.session.rows) {
+      clearInterval(rows);
+      simulator.emit(tag.id, "session:end,ping");
+      return;
+    }
+    time += tag.session.rowInterval;
+    if (tag.session.binary)
+      simulator.emitBinary(tag.id, {timeStamp: time, ax: Number(randomValue()), ay: Number(randomValue()),
+        az: Number(randomValue())});
+    else
+      simulator.emit(tag.id, "time:" + time + ",ax:" + randomValue() + ",ay:" + randomValue()
+        + ",az:" + randomValue());
+  }, tag.session.rowInterval);
+  list.push(rows);
+}
+
+/**
+ * @brief A random tamagotchi action message
+ */
+function randomAction() {
+  let action = ["EAT", "EXERCISE", "PET"][Math.floor(Math.random() * 3)];
+  return action + ":" + (1 + Math.floor(Math.random() * 3));
+}
+
+/**
+ * @brief A random sensor value between -1 and 1 with two decimals
+ */
+function randomValue() {
+  return (Math.random() * 2 - 1).toFixed(2);
+}
+
+module.exports = simulator;
@@ -0,0 +1,137 @@
+/**
+ * @file tags.js
+ * @brief Statistics of each SensorTag heard by the gateway
+ *
+ * The statistics are kept from the start of the gateway by SensorTag ID: the received frames, the
+ * frames that could not be read by the kind of error, the completed sessions and the rows sent in
+ * them, the replies to ping, the messages queued to the SensorTag and the time it was last heard.
+ */
+const moment = require("moment");
+
+let tags = {};
+let stats = {}; // by SensorTag ID as four lowercase hex characters
+const started = Date.now();
+
+/**
+ * @brief The statistics of a SensorTag, created when it is first heard of
+ * @param addr The SensorTag ID
+ */
+function entry(addr) {
+  addr = ("0000" + addr).slice(-4).toLowerCase();
+  if (!stats[addr]) stats[addr] = {
+    sensortagID: addr,
+    received: 0,
+    errors: {}, // number of unreadable frames by the kind of error
+    sessions: 0,
+    rows: 0,
+    pongs: 0,
+    queued: 0,
+    firstSeen: null,
+    lastSeen: null
+  };
+  return stats[addr];
+}
+
+/**
+ * @brief Count a frame received from a SensorTag
+ * @param addr The SensorTag ID
+ */
+tags.received = (addr) => {
+  let tag = entry(addr), now = Date.now();
+  tag.received++;
+  if (!tag.firstSeen) tag.firstSeen = now;
+  tag.lastSeen = now;
+}
+
+/**
+ * @brief Count a frame from a SensorTag that could not be read
+ * @param addr The SensorTag ID
+ * @param kind Short description of the error, e.g. "checksum" or "unknown field"
+ */
+tags.error = (addr, kind) => {
+  let errors = entry(addr).errors;
+  errors[kind] = (errors[kind] || 0) + 1;
+}
+
+/**
+ * @brief Count an event of a SensorTag
+ * @param addr The SensorTag ID
+ * @param counter "sessions", "rows", "pongs" or "queued"
+ * @param n How much the counter grows, 1 by default
+ */
+tags.count = (addr, counter, n = 1) => {
+  entry(addr)[counter] += n;
+}
+
+/**
+ * @brief Find a SensorTag by its ID, with or without the leading zeros
+ * @return A copy of its statistics, or undefined if it hasn't been heard of
+ */
+tags.get = (id) => {
+  let tag = stats[("0000" + id).slice(-4).toLowerCase()];
+  return tag && JSON.parse(JSON.stringify(tag));
+}
+
+/**
+ * @brief List the statistics of all SensorTags, sorted by ID
+ * @return Array of {sensortagID, received, errors, sessions, rows, pongs, queued, firstSeen,
+ * lastSeen}, where errors is a dictionary of counts by kind and the times are in milliseconds
+ */
+tags.list = () => Object.keys(stats).sort().map(tags.get);
+
+/**
+ * @brief Describe all SensorTags for the console, one line each
+ * @return Multi-line string
+ */
+tags.describe = () => {
+  let list = tags.list();
+  let lines = [list.length + " SensorTag" + (list.length != 1 ? "s" : "") + " heard since "
+    + moment(started).format("HH:mm:ss") + "."];
+  if (list.length)
+    lines.push("  ID    received  errors  sessions    rows  pongs  queued  last seen");
+  for (const tag of list)
+    lines.push("  " + tag.sensortagID + String(tag.received).padStart(10) + String(errorCount(tag)).padStart(8)
+      + String(tag.sessions).padStart(10) + String(tag.rows).padStart(8) + String(tag.pongs).padStart(7)
+      + String(tag.queued).padStart(8) + "  " + ago(tag.lastSeen));
+  return lines.join("\n");
+}
+
+/**
+ * @brief Describe one SensorTag for the console
+ * @param id The SensorTag ID, with or without the leading zeros
+ * @return Multi-line string
+ */
+tags.detail = (id) => {
+  let tag = tags.get(id);
+  if (!tag) return "SensorTag " + id + " hasn't been heard of. See '.tags'.";
+  let kinds = Object.entries(tag.errors).sort((a, b) => b[1] - a[1]);
+  return "SensorTag " + tag.sensortagID + ":\n"
+    + "  Received      " + tag.received + " frames"
+    + (tag.firstSeen ? ", the first at " + moment(tag.firstSeen).format("HH:mm:ss") : "") + "\n"
+    + "  Last seen     " + ago(tag.lastSeen) + "\n"
+    + "  Errors        " + errorCount(tag) + kinds.map(([kind, n]) => "\n    " + kind + ": " + n).join("") + "\n"
+    + "  Sessions      " + tag.sessions + " completed, " + tag.rows + " rows sent\n"
+    + "  Pongs         " + tag.pongs + "\n"
+    + "  Queued        " + tag.queued + " messages to the SensorTag";
+}
+
+/**
+ * @brief The number of unreadable frames of a SensorTag
+ */
+function errorCount(tag) {
+  return Object.values(tag.errors).reduce((a, b) => a + b, 0);
+}
+
+/**
+ * @brief Describe a time as how long ago it was
+ * @param time Milliseconds since the epoch
+ */
+function ago(time) {
+  if (!time) return "never";
+  let seconds = Math.round((Date.now() - time) / 1000);
+  if (seconds < 60) return seconds + " s ago";
+  if (seconds < 3600) return Math.floor(seconds / 60) + " min " + (seconds % 60) + " s ago";
+  return moment(time).format("HH:mm:ss");
+}
+
+module.exports = tags;
@@ -0,0 +1,63 @@
+/**
+ * @file file.js
+ * @brief Local file transport of the backend communication, see comm.js
+ *
+ * Every message is appended to gateway.sink.path as one JSON line {"time", "topic", "msg"}. The
+ * path "-" shows the lines in the console instead.
+ */
+const fs = require("fs");
+const path = require("path");
+const gateway = require("../../config");
+const util = require("../util");
+
+let transport = {};
+
+/**
+ * @brief Start writing to the file
+ * @param events The connection event handlers, see comm.js
+ */
+transport.connect = (events) => {
+  if (gateway.sink.path != "-") {
+    try {
+      fs.mkdirSync(path.dirname(gateway.sink.path), {recursive: true});
+    } catch (e) {
+      util.showMsg("error", "Could not create the directory of " + gateway.sink.path + ": " + e.message);
+    }
+  }
+  util.showMsg("info", "Writing backend messages to " + (gateway.sink.path == "-" ? "the console" : gateway.sink.path) + ".");
+  events.connect();
+}
+
+/**
+ * @brief The file is always available
+ */
+transport.connected = () => true;
+
+/**
+ * @brief Write a message as a JSON line
+ * @param topic The backend topic
+ * @param msg Object representing the message
+ * @return Promise rejecting if the file could not be written
+ */
+transport.emit = (topic, msg) => {
+  let line = JSON.stringify({time: new Date().toJSON(), topic: topic, msg: msg}) + "\n";
+  if (gateway.sink.path == "-") {
+    util.showMsg("send", line.trim());
+    return Promise.resolve();
+  }
+  try {
+    fs.appendFileSync(gateway.sink.path, line);
+  } catch (e) {
+    util.showMsg("error", "Could not write to " + gateway.sink.path + ": " + e.message);
+    return Promise.reject(e.message);
+  }
+  return Promise.resolve();
+}
+
+/**
+ * @brief Nothing to close, as every line is written right away
+ * @param reason Reason for ending
+ */
+transport.end = (reason) => Promise.resolve();
+
+module.exports = transport;
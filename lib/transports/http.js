@@ -0,0 +1,98 @@
+/**
+ * @file http.js
+ * @brief HTTP webhook transport of the backend communication, see comm.js
+ *
+ * Every message is sent as an HTTP POST request to gateway.http.url with the JSON body
+ * {"topic": ..., "msg": ...}. A failed request marks the backend unreachable, and the following
+ * messages go to the outbox until a retry after gateway.http.retryInterval milliseconds succeeds.
+ * Messages to SensorTags can't be received over a webhook.
+ */
+const http = require("http");
+const https = require("https");
+const gateway = require("../../config");
+const util = require("../util");
+
+let transport = {};
+let events = null;
+let up = false; // whether the latest request succeeded
+let retryTimer = null;
+
+/**
+ * @brief Start sending to the webhook. The first request tells if it is reachable.
+ * @param handlers The connection event handlers, see comm.js
+ */
+transport.connect = (handlers) => {
+  events = handlers;
+  up = true;
+  util.showMsg("info", "Sending messages to the webhook " + gateway.http.url + ".");
+  events.connect(); // sends the outbox left by a previous run
+}
+
+/**
+ * @brief Check if the webhook is reachable, according to the latest request
+ */
+transport.connected = () => up;
+
+/**
+ * @brief POST a message to the webhook
+ * @param topic The backend topic
+ * @param msg Object representing the message
+ * @return Promise resolving when the webhook accepted the message with a 2xx status
+ */
+transport.emit = (topic, msg) => {
+  return post(JSON.stringify({topic: topic, msg: msg})).catch(err => {
+    if (up) {
+      up = false;
+      if (!gateway.muteConnectionError) util.showMsg("error", "Webhook unreachable: " + err);
+      events.disconnect();
+      retryTimer = setTimeout(retry, gateway.http.retryInterval);
+    }
+    throw err;
+  });
+}
+
+/**
+ * @brief Test the webhook with an empty message on the topic 'ping', and send the outbox if it
+ * answers
+ */
+function retry() {
+  post(JSON.stringify({topic: "ping", msg: {}})).then(() => {
+    up = true;
+    events.connect();
+  }, () => retryTimer = setTimeout(retry, gateway.http.retryInterval));
+}
+
+/**
+ * @brief Make a POST request to the webhook
+ * @param body The JSON body as a string
+ * @return Promise resolving on a 2xx status, and rejecting with an error description otherwise
+ */
+function post(body) {
+  return new Promise((resolve, reject) => {
+    let url = new URL(gateway.http.url);
+    let req = (url.protocol == "https:" ? https : http).request(url, {
+      method: "POST",
+      timeout: gateway.http.timeout,
+      headers: Object.assign({"Content-Type": "application/json", "Content-Length": Buffer.byteLength(body)},
+        gateway.http.headers)
+    }, res => {
+      res.resume(); // the response body isn't used
+      if (res.statusCode >= 200 && res.statusCode < 300) resolve();
+      else reject("HTTP status " + res.statusCode);
+    });
+    req.on("timeout", () => req.destroy(new Error("timeout")));
+    req.on("error", err => reject(err.message));
+    req.end(body);
+  });
+}
+
+/**
+ * @brief Stop retrying
+ * @param reason Reason for ending
+ */
+transport.end = (reason) => {
+  clearTimeout(retryTimer);
+  return Promise.resolve();
+}
+
+module.exports = transport;
@@ -0,0 +1,147 @@
+/**
+ * @file mqtt.js
+ * @brief MQTT transport of the backend communication, see comm.js
+ * @author Vili Pelttari
+ *
+ * Messages are published as JSON on gateway.mqtt.publishPrefix + topic. Tamagotchi notifications
+ * {sensortagID, notifications} are received on gateway.mqtt.subscribePrefix + "tamagotchiNotification",
+ * messages to SensorTags {sensortagID, message} on gateway.mqtt.subscribePrefix + "sensortagMessage",
+ * and the game results of the old backend on gateway.mqtt.subscribePrefix + "game".
+ */
+const fs = require("fs");
+const mqtt = require("mqtt");
+const gateway = require("../../config");
+const uart = require("../uart");
+const util = require("../util");
+const comm = require("../comm");
+
+let transport = {};
+let mqclient;
+
+let ttl = 0, stime = 0;
+
+/**
+ * @brief Connect to the MQTT broker
+ * @param events The connection event handlers, see comm.js
+ */
+transport.connect = (events) => {
+  let options = Object.assign({}, gateway.mqtt.options);
+  try {
+    for (const file of ["ca", "cert", "key"]) // TLS certificates
+      if (gateway.mqtt[file]) options[file] = fs.readFileSync(gateway.mqtt[file]);
+  } catch (e) {
+    util.showMsg("error", "Could not read the MQTT certificate: " + e.message);
+  }
+  mqclient = mqtt.connect(gateway.mqtt.host, options);
+  /* Connection event handler. Subscribes to topics. Connection is automatically re-established after
+   * connection loss
+   */
+  mqclient.on("connect", () => {
+    ttl = stime = 0;
+    mqclient.subscribe(topics(), {qos: gateway.mqtt.qos}, err => {
+      if (err) util.showMsg("error", "Could not subscribe to the MQTT topics: " + err.message);
+    });
+    events.connect();
+  });
+
+  mqclient.on("offline", events.disconnect);
+
+  /* Message event handler. Comprehends commands and other messages aimed at this gateway.
+   *
+   * Tamagotchi notifications are handled like with socket.io. The messages on topic 'game' contain
+   * key-value pairs 'sensortagID': ID of SensorTag in question, 'wall': character hit the wall,
+   * 'villain': character hit the villain.
+   */
+  mqclient.on("message", (topic, msg) => {
+    let rxDict;
+    try {
+      rxDict = JSON.parse(msg.toString());
+    } catch(e) {
+      util.showMsg("error", "Bad input JSON string received via MQTT: " + msg.toString());
+      return;
+    }
+    topic = topic.slice(gateway.mqtt.subscribePrefix.length);
+    if (topic == "tamagotchiNotification") {
+      if (typeof rxDict.sensortagID != "string" || !Array.isArray(rxDict.notifications)) {
+        util.showMsg("error", "Bad tamagotchi notification received via MQTT: " + msg.toString());
+        return;
+      }
+      events.notification(rxDict);
+      return;
+    }
+    if (topic == "sensortagMessage") {
+      events.message(rxDict);
+      return;
+    }
+    // Note the addresses attached to this gateway, so the same message will not be sent to
+    // multiple gateways:
+    if (topic == 'game' && (typeof rxDict.sensortagID != "string" || !comm.isPresent(rxDict.sensortagID))) return;
+    if (topic == "game") {
+      if ("sensortagID" in rxDict && rxDict.wall) {
+        uart.uartWrite({addr: "ffff", str: rxDict.sensortagID.replace(/^0+/, '') + ",LOST GAME", to: rxDict.sensortagID});
+      } else if ("sensortagID" in rxDict && rxDict.villain) {
+        uart.uartWrite({addr: "ffff", str: rxDict.sensortagID.replace(/^0+/, '') + ",WIN", to: rxDict.sensortagID});
+      }
+    }
+  });
+
+  /* Connection error handler. Triggered every time an error occurs. Automatic reconnection attempts
+   * also trigger it and the ttl--stime logic is to limit repeated error messages.
+   *
+   * This can be muted using '.mute' or the muteConnectionError constant in config.js.
+   */
+  mqclient.on("error", err => {
+    if (err.code == "ECONNREFUSED") {
+      if (ttl > 0) {ttl--; return;}
+      if (!gateway.muteConnectionError)
+        util.showMsg("error", "Broker unreachable: " + err.message);
+      ttl = stime = (stime < 50 ? stime+2 : 50);
+    }
+    else util.showMsg("error", "MQTT error: " + err.message);
+  });
+}
+
+/**
+ * @brief The MQTT topics the gateway subscribes to
+ */
+function topics() {
+  return ["tamagotchiNotification", "sensortagMessage", "game"].map(k => gateway.mqtt.subscribePrefix + k);
+}
+
+/**
+ * @brief Check if the broker is connected
+ */
+transport.connected = () => mqclient != undefined && mqclient.connected;
+
+/**
+ * @brief Publish an MQTT packet to the broker
+ * @param topic The topic where this message should be sent to
+ * @param msg Object representing the message to send
+ * @return Promise resolving when the message is published, and rejecting if it could not be
+ *
+ * All modification to messages and topics should be made in config.js.
+ */
+transport.emit = (topic, msg) => {
+  return new Promise((resolve, reject) => {
+    mqclient.publish(gateway.mqtt.publishPrefix + topic, JSON.stringify(msg), {qos: gateway.mqtt.qos}, err => {
+      if (err) {
+        util.showMsg("error", "Could not publish message to MQTT broker: " + err.message);
+        reject(err);
+      } else resolve();
+    });
+  });
+}
+
+/**
+ * @brief End the MQTT connection
+ * @param reason Reason for ending
+ */
+transport.end = (reason) => {
+  return new Promise(resolve => {
+    if (!mqclient) return resolve();
+    mqclient.unsubscribe(topics());
+    mqclient.end(true, {reasonCode: 1, options: {reasonString: reason}}, resolve);
+  });
+}
+
+module.exports = transport;
@@ -0,0 +1,62 @@
+/**
+ * @file socket.js
+ * @brief Socket.io transport of the backend communication, see comm.js
+ * @author Vili Pelttari
+ */
+const io = require('socket.io-client');
+const gateway = require("../../config");
+const util = require("../util");
+
+let transport = {};
+let socket;
+
+/**
+ * @brief Connect to the socket.io server at gateway.socket.host
+ * @param events The connection event handlers, see comm.js
+ */
+transport.connect = (events) => {
+  socket = io.connect(gateway.socket.host, gateway.socket.options);
+  socket.on("connect_failed", () => {
+    util.rl.setPrompt('\033[31m$\033[0m ');
+    util.showMsg("error", "Connection to Backend server failed!");
+  });
+
+  socket.on("connect", events.connect);
+
+  socket.on("disconnect", events.disconnect);
+
+  socket.on("tamagotchiNotification", events.notification);
+
+  socket.on("sensortagMessage", events.message);
+
+  socket.on("error", err => {
+    util.showMsg("error", "Socket reported a generic error!");
+  });
+}
+
+/**
+ * @brief Check if the socket is connected
+ */
+transport.connected = () => socket != undefined && socket.connected;
+
+/**
+ * @brief Emit a message on a topic
+ * @param topic The backend topic
+ * @param msg Object representing the message
+ * @return Promise resolving when the message is handed to socket.io
+ */
+transport.emit = (topic, msg) => {
+  socket.emit(topic, JSON.stringify(msg));
+  return Promise.resolve();
+}
+
+/**
+ * @brief Close the connection
+ * @param reason Reason for ending
+ */
+transport.end = (reason) => {
+  if (socket) socket.close();
+  return Promise.resolve();
+}
+
+module.exports = transport;
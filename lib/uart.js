@@ -2,48 +2,222 @@ const gateway = require("../config");
 const Fifo = require("queue-fifo");
 const portFinder = require("./portFinder");
 const util = require("./util");
+const capture = require("./capture");
+const framing = require("./framing");
+const crc = require("./crc");
+const tags = require("./tags");
 let uart = {};
-uart.responded = false; // communicate if the challenge-response has been cleared
 let uartSenderService;
-let uartSendBuffer = new Fifo(); // space out outgoing UART messages in time
+let devices = new Map(); // the connected serial devices by path
+let routes = {}; // the path of the device where each address was last seen
+let pending = {}; // messages waiting for an acknowledgement, by sequence number
+let deliveries = []; // final delivery statuses of the latest reliably sent messages
+let nextSeq = 0;
+
+// Priority classes of the UART send queue, highest first
+uart.priorities = ["control", "reply", "notify", "console"];
+let dropped = Object.fromEntries(uart.priorities.map(k => [k, 0]));
+let delayed = 0; // messages that had to wait for the rate limit of their destination
+
+/**
+ * @brief Start using a serial port. Each port has its own challenge state, heartbeat time and
+ * send queue.
+ * @param port The SerialPort, which doesn't have to be open yet
+ * @return The device state {path, port, responded, hbTime, queues, lastSent}
+ */
+attach = uart.attach = (port) => {
+  let device = {
+    path: port.path,
+    port: port,
+    responded: false, // if the challenge-response has been cleared
+    hbTime: Date.now(), // time of the latest heartbeat reply
+    // The send queue of each priority class is a Map from the destination to its FIFO queue
+    queues: Object.fromEntries(uart.priorities.map(k => [k, new Map()])),
+    lastSent: {} // time of the latest message to each destination
+  };
+  devices.set(device.path, device);
+  return device;
+}
+
+/**
+ * @brief Stop using a closed serial port. Its unsent messages are discarded.
+ * @param device The device state given by uart.attach
+ */
+detach = uart.detach = (device) => {
+  if (devices.get(device.path) !== device) return;
+  devices.delete(device.path);
+  let n = waiting(device);
+  if (n > 0) util.showMsg("info", "Discarded " + n + " unsent message" + (n != 1 ? "s" : "") + " to " + device.path + ".");
+}
+
+/**
+ * @brief The connected serial devices
+ * @return Array of device states, see uart.attach
+ */
+uart.devices = () => [...devices.values()];
+
+/**
+ * @brief Note the device where an address was seen, so that messages to it are sent there
+ * @param addr The SensorTag ID
+ * @param path The path of the device
+ */
+seen = uart.seen = (addr, path) => {
+  routes[("0000" + addr).slice(-4).toLowerCase()] = path;
+}
+
+/**
+ * @brief Name the device in console messages when there are several
+ * @param device The device state
+ * @return " on <path>", or "" with a single device
+ */
+function where(device) {
+  return devices.size > 1 ? " on " + device.path : "";
+}
 
 /**
- * @brief Send messages TXLENGTH bytes long from the UART send queue with time in between
+ * @brief Send messages TXLENGTH bytes long from the UART send queues with time in between
  *
- * Monitors the UART send message queue and send messages from it with enough time in between
- * for the ServerTag to execute them properly.
+ * Monitors the UART send message queue of every device and sends messages from them with enough
+ * time in between for the ServerTag to execute them properly.
  */
 uartSender = uart.uartSender = () => {
-  if (uartSendBuffer.isEmpty() || !gateway.port) {
-    return;
+  for (const device of devices.values()) {
+    let item = nextItem(device);
+    if (!item) continue;
+    write(device, item);
   }
-  var [txBuf, publish, blockedCount] = uartSendBuffer.dequeue(), msg, addr;
-  if (gateway.isServer) {
-    msg = txBuf.subarray(2).toString().replace(/\0/g, '');
-    addr = ("0000" + txBuf.readUInt16LE().toString(16)).slice(-4);
-  } else {
-    msg = txBuf.toString().replace(/\0/g, '');
-    addr = "";
-  }
-  gateway.port.write(txBuf, function(err) {
+}
+uartSenderService = setInterval(uartSender, 50);
+
+/**
+ * @brief Write a queue item to the serial port of a device
+ * @param device The device state
+ * @param item The queue item
+ */
+function write(device, item) {
+  let {txBuf, publish, blockedCount} = item, [msg, addr] = readTxBuf(txBuf);
+  let port = device.port;
+  capture.record("tx", txBuf, devices.size > 1 ? device.path : undefined);
+  port.write(txBuf, function(err) {
     let time = new Date().toTimeString().split(" ")[0] + " ";
     if (err) {
-      util.showMsg("error", time + "UART write error: " + err.message);
+      util.showMsg("error", time + "UART write error" + where(device) + ": " + err.message);
       // prevent spam by discarding the message
     } else if (!gateway.isServer) {
-      util.showMsg("info", time + "Sent '" + msg + "' to connected SensorTag."
+      util.showMsg("send", time + "Sent '" + msg + "' to connected SensorTag" + where(device) + "."
         + (blockedCount ? " " + blockedCount + " duplicate message"
           + (blockedCount != 1 ? "s" : "" ) + " blocked." : ""));
-    } else if (publish && gateway.port.isOpen) {
-      util.showMsg("info", time + "Sent '" + msg + "' to 0x" + addr + "."
+    } else if (publish && port.isOpen) {
+      util.showMsg("send", time + "Sent '" + msg + "' to 0x" + addr + where(device) + "."
         + (blockedCount ? " " + blockedCount + " duplicate message"
-          + (blockedCount != 1 ? "s" : "" ) + " blocked." : ""));
+          + (blockedCount != 1 ? "s" : "" ) + " blocked." : ""), addr);
     } else if (publish) {
       util.showMsg("error", time + "Sending aborted. SensorTag isn't connected.");
     }
   });
 }
-uartSenderService = setInterval(uartSender, 50);
+
+/**
+ * @brief Take the next message to send from the UART send queue of a device: the first message of
+ * the highest priority class whose destination isn't rate limited. Destinations of a class take turns.
+ * @param device The device state
+ * @return The queue item, or undefined if nothing can be sent now
+ */
+function nextItem(device) {
+  let now = Date.now(), {queues, lastSent} = device;
+  for (const priority of uart.priorities) {
+    for (const [dest, fifo] of queues[priority]) {
+      if (priority != "control" && now - (lastSent[dest] || 0) < gateway.queue.minInterval) {
+        if (!fifo.peek().delayed) {
+          fifo.peek().delayed = true;
+          delayed++;
+        }
+        continue;
+      }
+      let item = fifo.dequeue();
+      queues[priority].delete(dest);
+      if (!fifo.isEmpty()) queues[priority].set(dest, fifo); // move to the end of the turn
+      lastSent[dest] = now;
+      return item;
+    }
+  }
+}
+
+/**
+ * @brief Read the message text and the address of a UART message
+ * @param txBuf The UART message buffer
+ * @return [message, address], where address is "" when not in server use
+ */
+function readTxBuf(txBuf) {
+  txBuf = framing.decode(txBuf);
+  if (!gateway.isServer) return [txBuf.toString().replace(/\0/g, ''), ""];
+  return [txBuf.subarray(2).toString().replace(/\0/g, ''), ("0000" + txBuf.readUInt16LE().toString(16)).slice(-4)];
+}
+
+/**
+ * @brief Add a message to the UART send queue of a device. When the queue is full, the oldest message
+ * of the lowest priority class at or below the new message's is dropped, or with the drop policy
+ * "newest" the new message. Control messages are never dropped.
+ * @param device The device state
+ * @param priority One of uart.priorities
+ * @param dest The destination address, or "tag" for the SensorTag or the ServerTag itself
+ * @param item {txBuf, publish, blockedCount}
+ */
+function enqueue(device, priority, dest, item) {
+  let queues = device.queues;
+  if (waiting(device) >= gateway.queue.maxDepth && priority != "control") {
+    let victim = gateway.queue.dropPolicy == "oldest" ? uart.priorities.slice(uart.priorities.indexOf(priority))
+      .reverse().find(k => queues[k].size > 0) : undefined;
+    if (victim) {
+      let [oldest] = [...queues[victim]].sort(([, a], [, b]) => a.peek().time - b.peek().time);
+      drop(device, victim, oldest[1].dequeue());
+      if (oldest[1].isEmpty()) queues[victim].delete(oldest[0]);
+    } else {
+      drop(device, priority, item);
+      return;
+    }
+  }
+  item.time = Date.now();
+  if (!queues[priority].has(dest)) queues[priority].set(dest, new Fifo());
+  queues[priority].get(dest).enqueue(item);
+}
+
+/**
+ * @brief Count and report a message dropped from a full UART send queue
+ */
+function drop(device, priority, item) {
+  let [msg, addr] = readTxBuf(item.txBuf);
+  dropped[priority]++;
+  util.showMsg("error", "UART send queue" + where(device) + " is full (" + gateway.queue.maxDepth + " messages). Dropped '"
+    + msg + "'" + (addr ? " to 0x" + addr : "") + ".", addr || undefined);
+}
+
+/**
+ * @brief Number of messages waiting in the UART send queue of a device, or in one priority class of it
+ */
+function waiting(device, priority) {
+  return (priority ? [priority] : uart.priorities).reduce((n, k) =>
+    n + [...device.queues[k].values()].reduce((m, fifo) => m + fifo.size(), 0), 0);
+}
+
+/**
+ * @brief Number of messages waiting in the UART send queues of all devices
+ */
+queueLength = uart.queueLength = () => uart.devices().reduce((n, device) => n + waiting(device), 0);
+
+/**
+ * @brief Describe the UART send queues for the console
+ * @return Multi-line string with the waiting, dropped and delayed messages of each priority class,
+ * and the waiting messages of each device when there are several
+ */
+queueStatus = uart.queueStatus = () => {
+  let size = k => uart.devices().reduce((n, device) => n + waiting(device, k), 0);
+  return "UART send queue: " + queueLength() + " messages, at most " + gateway.queue.maxDepth + " per device.\n"
+    + (devices.size > 1 ? uart.devices().map(d => "  " + d.path + ": " + waiting(d) + " waiting\n").join("") : "")
+    + uart.priorities.map(k => "  " + k.padEnd(8) + " " + size(k) + " waiting, " + dropped[k] + " dropped").join("\n")
+    + "\n  " + delayed + " message" + (delayed != 1 ? "s" : "") + " delayed by the rate limit of "
+    + gateway.queue.minInterval + " ms per destination.";
+}
 
 /**
  * @brief Send an UART message. The message will be formed with the address, and added to a message
@@ -54,9 +228,22 @@ uartSenderService = setInterval(uartSender, 50);
  *          -str:      Message text (converted to ascii in this function, to prevent buffer problems)
  *          -addr:     Receiver address as a string of four hex characters ('ffff' is broadcast)
  *          -internal: Set if raw text has to be sent over UART
+ *          -priority: One of uart.priorities. Internal messages are "control", others "notify" by
+ *                     default
+ *          -to:       The SensorTag expected to acknowledge a broadcast, when reliable delivery is
+ *                     enabled
+ *          -reliable: Set to false to send the message only once even in reliable delivery
+ *          -port:     Path of the serial device to send to. By default the message goes to the
+ *                     device where the receiver was last seen, or to all devices
+ * @return False if the message was dropped because it doesn't fit in a frame or no serial device
+ * is connected, else true
  */
 uartWrite = uart.uartWrite = (msg, publish=true) => {
-  let txBuf = Buffer.alloc(gateway.uart.txlength), addr = "ffff";
+  if (gateway.delivery.enabled && publish && !("internal" in msg) && !("seq" in msg)
+      && msg.reliable !== false && (!gateway.isServer || recipient(msg))) {
+    return track(msg);
+  }
+  let txBuf, head = Buffer.alloc(0), room = gateway.uart.txlength - 1, addr = "ffff";
   if (gateway.debugMode)
     util.showMsg("info", "Added to UART send queue: 0x" + msg.addr + ":'" + msg.str + "'."
       + (msg.blockedCount ? " " + msg.blockedCount + " duplicate message"
@@ -64,41 +251,190 @@ uartWrite = uart.uartWrite = (msg, publish=true) => {
   if (gateway.isServer && !("internal" in msg)) {
     if ("addr" in msg && msg.addr != null)
       addr = msg.addr;
-    txBuf.writeUInt16LE(Number.parseInt(addr, 16));
-    txBuf.asciiWrite(msg.str.substr(0, gateway.uart.txlength-3), 2); // always ends in \0
-  } else {
-    txBuf.asciiWrite(msg.str.substr(0, gateway.uart.txlength-1)); // always ends in \0
+    head = Buffer.alloc(2);
+    head.writeUInt16LE(Number.parseInt(addr, 16));
+    room -= 2;
   }
-  // Add to FIFO send queue
-  uartSendBuffer.enqueue([txBuf, publish, msg.blockedCount ? msg.blockedCount : 0])
+  // Cut the text until it fits in the frame after escaping. Drop the message if the tags don't fit
+  let withCrc = gateway.crc.downlink && !("internal" in msg), tagLength = tagsLength(msg.seq, withCrc);
+  while (!(txBuf = framing.frame(head, withTags(msg.str, msg.seq, room, withCrc)))) {
+    if (room <= tagLength) {
+      util.showMsg("error", "Message '" + msg.str + "' dropped: it doesn't fit in a frame of "
+        + gateway.uart.txlength + " bytes (gateway.uart.txlength) with its tags.");
+      return false;
+    }
+    room--;
+  }
+  // Add to the send queue of its priority class on each device the message goes to
+  let targets = route(msg);
+  if (!targets.length && publish)
+    util.showMsg(msg.priority == "console" ? "error" : "debug", "Sending aborted. No serial device is connected.");
+  if (targets.length && publish && !("internal" in msg) && recipient(msg))
+    tags.count(recipient(msg), "queued");
+  for (const device of targets)
+    enqueue(device, msg.priority || ("internal" in msg ? "control" : "notify"),
+      gateway.isServer && !("internal" in msg) ? addr.toLowerCase() : "tag",
+      {txBuf: txBuf, publish: publish, blockedCount: msg.blockedCount ? msg.blockedCount : 0});
+  return targets.length > 0;
+}
+
+/**
+ * @brief The devices a message is sent to: the one given in msg.port, the one where the receiver
+ * was last seen, or all of them
+ * @param msg The message given to uartWrite
+ * @return Array of device states
+ */
+function route(msg) {
+  if (msg.port) return devices.has(msg.port) ? [devices.get(msg.port)] : [];
+  let to = recipient(msg);
+  if (to && devices.has(routes[to])) return [devices.get(routes[to])];
+  return uart.devices();
+}
+
+/**
+ * @brief Cut a message to fit, and append the sequence tag if it has one and the checksum suffix
+ * @param str The message text
+ * @param seq The sequence number, or undefined
+ * @param length The number of characters available
+ * @param withCrc True to append the checksum of the text and the sequence tag, see crc.js
+ */
+function withTags(str, seq, length, withCrc) {
+  let tag = seq == undefined ? "" : ",seq:" + seq;
+  str = str.substr(0, length - tagsLength(seq, withCrc)) + tag;
+  return withCrc ? str + crc.tag(Buffer.from(str, "latin1")) : str;
+}
+
+/**
+ * @brief The number of characters withTags appends to a message
+ * @param seq The sequence number, or undefined
+ * @param withCrc True if the checksum suffix is appended
+ */
+function tagsLength(seq, withCrc) {
+  return (seq == undefined ? 0 : (",seq:" + seq).length) + (withCrc ? crc.tagLength : 0);
+}
+
+/**
+ * @brief The SensorTag that should acknowledge a message
+ * @return The address, or undefined for a broadcast without a known receiver
+ */
+function recipient(msg) {
+  if (msg.to) return ("0000" + msg.to).slice(-4).toLowerCase();
+  if (msg.addr && msg.addr.toLowerCase() != "ffff") return msg.addr.toLowerCase();
+}
+
+/**
+ * @brief Send a message with a sequence tag and wait for its acknowledgement
+ * @param msg The message given to uartWrite
+ * @return False if the message could not be sent, see attempt
+ */
+function track(msg) {
+  let seq = nextSeq;
+  nextSeq = (nextSeq + 1) % 10000; // fits the range of the ack field
+  if (pending[seq]) finish(seq, "failed"); // 10000 messages have been sent meanwhile
+  pending[seq] = {msg: Object.assign({}, msg, {seq: seq}), to: recipient(msg), tries: 0, timer: null};
+  return attempt(seq);
+}
+
+/**
+ * @brief Send a tracked message, and resend it if it isn't acknowledged in time. A message that
+ * doesn't fit in a frame or has no serial device to go to is given up at once, without resending.
+ * @param seq The sequence number of the message
+ * @return False if the message was given up
+ */
+function attempt(seq) {
+  let p = pending[seq];
+  p.tries++;
+  if (!uartWrite(p.tries > 1 ? Object.assign({}, p.msg, {blockedCount: 0}) : p.msg)) {
+    finish(seq, "dropped");
+    return false;
+  }
+  p.timer = setTimeout(() => {
+    if (p.tries > gateway.delivery.retries) {
+      finish(seq, "failed");
+      return;
+    }
+    util.showMsg("info", "No acknowledgement for '" + p.msg.str + "'" + (p.to ? " from 0x" + p.to : "")
+      + ", resending (" + p.tries + "/" + gateway.delivery.retries + ").", p.to);
+    attempt(seq);
+  }, gateway.delivery.timeout * Math.pow(gateway.delivery.backoff, p.tries - 1));
+  return true;
+}
+
+/**
+ * @brief Stop tracking a message and report its delivery status
+ * @param seq The sequence number of the message
+ * @param status "delivered", "failed" when no acknowledgement came, or "dropped" when the message
+ * could not be sent
+ */
+function finish(seq, status) {
+  let p = pending[seq];
+  clearTimeout(p.timer);
+  delete pending[seq];
+  deliveries.push({time: Date.now(), seq: seq, to: p.to, str: p.msg.str, tries: p.tries, status: status});
+  if (deliveries.length > 20) deliveries.shift();
+  let str = "'" + p.msg.str + "'" + (p.to ? " to 0x" + p.to : "") + " after " + p.tries + " tr"
+    + (p.tries != 1 ? "ies" : "y") + ".";
+  if (status == "delivered") util.showMsg("send", "Delivered " + str, p.to);
+  else if (status == "dropped") util.showMsg("error", "Delivery failed: could not send " + str, p.to);
+  else util.showMsg("error", "Delivery failed: no acknowledgement for " + str, p.to);
+}
+
+/**
+ * @brief Handle an acknowledgement received from a SensorTag
+ * @param addr The SensorTag ID
+ * @param seq The acknowledged sequence number
+ * @return False if no message with the sequence number was waiting for this SensorTag
+ */
+acknowledge = uart.acknowledge = (addr, seq) => {
+  let p = pending[seq];
+  if (!p || (p.to && p.to != addr)) return false;
+  finish(seq, "delivered");
+  return true;
+}
+
+/**
+ * @brief Describe the reliable delivery state for the console
+ * @return Multi-line string of the unacknowledged messages and the latest delivery statuses
+ */
+deliveryStatus = uart.deliveryStatus = () => {
+  let lines = [Object.keys(pending).length + " message(s) waiting for an acknowledgement."];
+  for (const [seq, p] of Object.entries(pending))
+    lines.push("  seq " + seq + (p.to ? " 0x" + p.to : "") + " '" + p.msg.str + "', tries " + p.tries);
+  if (deliveries.length) lines.push("Latest deliveries:");
+  for (const d of deliveries)
+    lines.push("  " + new Date(d.time).toTimeString().split(" ")[0] + " seq " + d.seq + (d.to ? " 0x" + d.to : "")
+      + " '" + d.str + "' " + d.status + " after " + d.tries + " tr" + (d.tries != 1 ? "ies" : "y"));
+  return lines.join("\n");
 }
 
 /**
  * @brief Check and send the heartbeat query. Used to check if the ServerTag has crashed
+ * @param device The device state of the ServerTag
  */
-heartbeat = uart.heartbeat = () => {
+heartbeat = uart.heartbeat = (device) => {
   let now = Date.now();
-  if (gateway.heartbeatInterval*1.5 < now - uart.hbTime && now - uart.hbTime < gateway.heartbeatInterval*2.5) {
-    util.showMsg("error", "Error: Heartbeat: The ServerTag has possibly crashed!");
+  if (gateway.heartbeatInterval*1.5 < now - device.hbTime && now - device.hbTime < gateway.heartbeatInterval*2.5) {
+    util.showMsg("error", "Error: Heartbeat: The ServerTag" + where(device) + " has possibly crashed!");
   }
-  uartWrite({str: "\x00\x00\x01HB", internal: true}, false);
+  uartWrite({str: "\x00\x00\x01HB", internal: true, port: device.path}, false);
 }
 
 /**
  * @brief Check the response to the challenge and set the current state as necessary
  * @param data The UART data buffer
+ * @param device The device state of the port the data came from
  * @return Whether or not the response was satisfactory
  */
-parseChallenge = uart.parseChallenge = (data) => {
+parseChallenge = uart.parseChallenge = (data, device) => {
   let str;
   if (gateway.debugMode) {
     util.showMsg("info", "UART:" + JSON.stringify(data.toString().replace(/\x00*$/, '')));
   }
   if (data[0] == data[1] && data[1] == 0xfe && data[2] == 1) {
     str = data.slice(3).toString().replace(/\0*$/g, '');
-    util.showMsg("info", "Challenge response: " + str);
+    util.showMsg("info", "Challenge response" + where(device) + ": " + str);
     portFinder.clearBlacklist();
-    uart.responded = true;
+    device.responded = true;
   }
   return false;
 }
@@ -106,15 +442,16 @@ parseChallenge = uart.parseChallenge = (data) => {
 /**
  * @brief Send a challenge to the newly connected ServerTag and start a timeout for the function
  *        that will disconnect it if it didn't respond correctly
+ * @param device The device state of the ServerTag
  */
-sendChallenge = uart.sendChallenge = () => {
-  uartWrite({str: "\x00\x00\x01Identify", internal: true}, false);
-  uart.responded = false;
+sendChallenge = uart.sendChallenge = (device) => {
+  uartWrite({str: "\x00\x00\x01Identify", internal: true, port: device.path}, false);
+  device.responded = false;
   setTimeout(function() { // wait the grace period and check 'responded' after that
-    if (!uart.responded) {
-      util.showMsg("info", "No response to challenge. Disconnecting.");
-      portFinder.nextPort();
-      gateway.port.close(err => {if (err) {util.showMsg("error", "Port close error: "+err);}}); // activates port.on('close')
+    if (!device.responded && device.port.isOpen) {
+      util.showMsg("info", "No response to challenge" + where(device) + ". Disconnecting.");
+      portFinder.nextPort(device.path);
+      device.port.close(err => {if (err) {util.showMsg("error", "Port close error: "+err);}}); // activates port.on('close')
       util.showMsg("info", "\n");
       return;
     }
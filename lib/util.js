@@ -6,42 +6,82 @@
 
 const readline = require("readline");
 
+let completer = line => [[], line]; // tab completion of the console, see setCompleter
+
 // readline gateway for reading console input
 const rl = readline.createInterface({
   input: process.stdin,
   output: process.stdout,
   prompt: '\033[31m$\033[0m ',
-  terminal: true
+  terminal: true,
+  completer: line => completer(line)
 });
 rl.on('close', () => process.exit(0));
 
+let msgListeners = []; // functions that are given every message shown with showMsg
+let logLevel = 1; // messages with a topic level above this are not shown in the console
+const topicLevels = {error: 0, info: 1, recv: 1, send: 1, debug: 2};
+
 module.exports = {
   rl: rl,
   showMsg: showMsg,
+  onMsg: onMsg,
   closestMatch: closestMatch,
   levenshtein: levenshtein,
-  parseArgv: parseArgv,
-  decodeEscapedBuffer: decodeEscapedBuffer
+  setLogLevel: setLogLevel,
+  setCompleter: setCompleter,
+  decodeEscapedBuffer: decodeEscapedBuffer,
+  encodeEscapedBuffer: encodeEscapedBuffer
 }
 
 
 /**
- * @brief Send a message on all gateways (the console and the backend connection)
- * @param topic The topic of this message (info, error, debug, recv)
+ * @brief Send a message on all gateways (the console, the log file and the dashboard)
+ * @param topic The topic of this message (info, error, debug, recv, send)
  * @param str The message
+ * @param addr The SensorTag address the message concerns, optional
  * @return A resolve promise to guarantee completition
  */
-function showMsg(topic, str) {
+function showMsg(topic, str, addr) {
   return new Promise(resolve => {
-    process.stdout.write("\033[1G\033[2K"); // move cursor to beginning of line
-    console.log(str);
-    rl.prompt(true); // write prompt
+    if (!(topicLevels[topic] > logLevel)) {
+      process.stdout.write("\033[1G\033[2K"); // move cursor to beginning of line
+      console.log(str);
+      rl.prompt(true); // write prompt
+    }
+    for (const listener of msgListeners) listener(topic, str, addr);
     //comm.send(topic, str).then(resolve); // can forward error to backend
     resolve();
   });
 }
 
 
+/**
+ * @brief Set which messages are shown in the console
+ * @param level "none" shows nothing, "error" only errors, "info" also the other messages, and
+ * "debug" everything
+ */
+function setLogLevel(level) {
+  logLevel = ["none", "error", "info", "debug"].indexOf(level) - 1;
+}
+
+/**
+ * @brief Set the tab completion of the console
+ * @param fun Function taking the typed line and returning [completions, the completed substring],
+ * see the completer of readline.createInterface
+ */
+function setCompleter(fun) {
+  completer = fun;
+}
+
+/**
+ * @brief Register a function that is called with every message shown with showMsg
+ * @param listener Function with the arguments (topic, str, addr) of showMsg
+ */
+function onMsg(listener) {
+  msgListeners.push(listener);
+}
+
 /**
  * @brief Find the closest match to str from suggestions, using Levenshtein
  * @param str String approximating a match in suggestions
@@ -88,66 +128,6 @@ function levenshtein(str1, str2) {
   return d[m][n];
 }
 
-/**
- * @brief Parse vector of command line arguments.
- * @param dict The dictionary 'gateway' defined in config.js. CLI options change the config defined
- * there.
- */
-function parseArgv(dict) {
-  let k = 2, t = 0;
-  while (k < process.argv.length) {
-    switch (process.argv[k]) {
-      case "-b": // baud rate selection
-        k++;
-        dict.uart.baudRate = parseInt(process.argv[k]);
-        break;
-      case "-d": // debug mode
-        dict.debugMode = true;
-        break;
-      case "-m": // manual port selection
-        dict.ports.autofind = false;
-        break;
-      case "-o": // offline mode
-        dict.offline = true;
-        break;
-      case "-s": // server usage
-        dict.isServer = true;
-        dict.uart.baudRate = dict.server.baudRate;
-        dict.uart.pipe = dict.server.pipe;
-        dict.uart.delim = dict.server.delim;
-        break;
-      default:
-        console.error("Usage:\n" +
-          "  node gateway [-b baudRate] [-d] [-m] [-o] [-s]\n" +
-          "Options:\n" +
-          "      -b baudRate\n" +
-          "           Set UART \033[1mbaudrate\033[0m. Should be one of following:\n" +
-          "             4800, 9600, 19200, 38400, 57600, 76800, 115200.\n" + 
-          "      -d   Use \033[1mdebug\033[0m mode. Shows extra data, and can be used to test messages.\n" +
-          "      -m   Set \033[1mport\033[0m selection to manual. Disables automatic selection.\n" +
-          "      -o   Set gateway to \033[1moffline mode\033[0m, and the connection to backend is not established.\n" +
-          "      -s   Use automatic config for \033[1mserver\033[0m usage."
-          );
-        process.exit(1);
-    }
-    k++;
-  }
-}
-
-/**
- * @brief Parse an integer from a string
- * @param str String that supposedly represents a number
- * @return Number from str if it contained a number. Else print error and exit process.
- */
-function parseInt(str) {
-  let t = Number.parseInt(str);
-  if (isNaN(t)) {
-    console.error("Invalid integer: " + str);
-    process.exit(1);
-  }
-  return t;
-}
-
 /**
  * @brief Decode a buffer from replaced characters using escape characters
  * @param b Buffer object encoded in the ServerTag
@@ -189,3 +169,39 @@ function decodeEscapedBuffer(b) {
   while (escLen-- > 0) resultBuffer[windex++] = ESCAPECHAR;
   return resultBuffer.slice(0, windex); // windex gives the resulting buffer length
 }
+
+/**
+ * @brief Encode a buffer with escape characters so that it doesn't contain the EOM character
+ * @param b Buffer object to encode
+ * @return Buffer object of the encoded bytes. decodeEscapedBuffer restores the original bytes
+ *
+ * The inverse of decodeEscapedBuffer: A run of n escape characters followed by the EOM character is
+ * encoded as 2n+1 escape characters and the stand-in character, and a run followed by the stand-in
+ * character as 2n escape characters and the stand-in character. Other bytes are kept as they are.
+ */
+function encodeEscapedBuffer(b) {
+  let escLen = 0, windex = 0;
+  // Characters:
+  let ESCAPECHAR = 0xf0;
+  let STANDINCHAR = 0xf1;
+  let EOMCHAR = 0xf2;
+
+  let resultBuffer = Buffer.alloc(2 * b.length + 1); // worst case length
+
+  for (c of b) {
+    if (c == ESCAPECHAR) escLen++;
+    else {
+      if (c == EOMCHAR || c == STANDINCHAR) {
+        escLen = 2 * escLen + (c == EOMCHAR ? 1 : 0);
+        while (escLen-- > 0) resultBuffer[windex++] = ESCAPECHAR;
+        resultBuffer[windex++] = STANDINCHAR;
+      } else {
+        while (escLen-- > 0) resultBuffer[windex++] = ESCAPECHAR;
+        resultBuffer[windex++] = c;
+      }
+      escLen = 0;
+    }
+  }
+  while (escLen-- > 0) resultBuffer[windex++] = ESCAPECHAR;
+  return resultBuffer.slice(0, windex); // windex gives the resulting buffer length
+}